@@ -1,21 +1,31 @@
 #!/usr/bin/env node
 /**
  * bin/runner-sync.js
- * CLI entry point - Always run full workflow
+ * CLI entry point - dispatch subcommands (default: sync)
  */
 
 const Config = require("../src/utils/config");
 const Logger = require("../src/utils/logger");
 const { parseArgs, printHelp } = require("../src/cli/parser");
-const syncOrchestrator = require("../src/core/sync-orchestrator");
+const output = require("../src/utils/output");
+const shutdown = require("../src/core/shutdown");
+const process_adapter = require("../src/adapters/process");
 const pkg = require("../package.json");
 
 // Parse arguments
-const { options } = parseArgs(process.argv);
+let parsed;
+try {
+  parsed = parseArgs(process.argv);
+} catch (err) {
+  console.error(err.message);
+  process.exit(err.exitCode || 1);
+}
+
+const { command, hasCommand, options } = parsed;
 
 // Handle help
 if (options.help) {
-  printHelp();
+  printHelp(hasCommand ? command : null);
   process.exit(0);
 }
 
@@ -25,29 +35,94 @@ if (options.version) {
   process.exit(0);
 }
 
+// Resolve command module
+let commandModule;
+switch (command) {
+  case "init":
+    commandModule = require("../src/cli/commands/init");
+    break;
+  case "push":
+    commandModule = require("../src/cli/commands/push");
+    break;
+  case "status":
+    commandModule = require("../src/cli/commands/status");
+    break;
+  case "config":
+    commandModule = require("../src/cli/commands/config");
+    break;
+  case "services":
+    commandModule = require("../src/cli/commands/services");
+    break;
+  case "doctor":
+    commandModule = require("../src/cli/commands/doctor");
+    break;
+  case "sync":
+  default:
+    commandModule = require("../src/cli/commands/sync");
+    break;
+}
+
 // Create config & logger
 const config = new Config(options);
 const logger = new Logger({
   packageName: pkg.name,
   version: pkg.version,
-  command: "sync",
+  command,
   verbose: options.verbose,
   quiet: options.quiet,
+  logToStderr: options.json,
 });
 
+// --json: stdout chỉ chứa JSON document (log và output của git / rsync / ssh... sang stderr)
+process_adapter.setChildStdoutToStderr(options.json);
+
+const wantsDocument = options.json || Boolean(options.output);
+const startedAt = new Date();
+
+/**
+ * Ghi JSON result document nếu được yêu cầu (--json / --output)
+ */
+function emitDocument(result, error) {
+  if (!wantsDocument) return;
+
+  try {
+    const doc = output.buildDocument(command, result, { pkg, startedAt, dryRun: config.dryRun, error });
+    output.writeDocument(doc, { json: options.json, output: options.output, cwd: config.cwd });
+  } catch (writeErr) {
+    logger.error(`Failed to write JSON output: ${writeErr.message}`);
+  }
+}
+
 // Print banner
 logger.printBanner();
 
-// Run full workflow
+// Cảnh báo khi load config (dòng .env sai cú pháp...)
+for (const warning of config.warnings) {
+  logger.warn(warning);
+}
+
+// SIGINT / SIGTERM: dừng child processes, nhả lock, (tùy chọn) rời tailnet rồi exit EXIT_INTERRUPTED
+shutdown.installSignalHandlers(config, logger, {
+  beforeExit: (error) => emitDocument(null, error),
+});
+
+// Run command
 (async () => {
   try {
-    const result = await syncOrchestrator.orchestrate(config, logger);
-    process.exit(result.success ? 0 : 1);
+    const result = await commandModule.run(config, logger, { args: options.args || [] });
+    if (shutdown.isShuttingDown()) return;
+
+    emitDocument(result, null);
+    process.exit(result?.success === false && !result.skipped ? 1 : 0);
   } catch (err) {
+    // Lỗi do child process bị dừng khi shutdown - handler sẽ exit sau khi dọn dẹp xong
+    if (shutdown.isShuttingDown()) return;
+
     logger.error(err.message);
     if (options.verbose && err.stack) {
       logger.debug(err.stack);
     }
+    emitDocument(null, err);
     process.exit(err.exitCode || 1);
   }
 })();
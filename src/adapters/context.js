@@ -0,0 +1,48 @@
+/**
+ * adapters/context.js
+ * Adapter context cho core modules: mặc định là các adapter thật, có thể thay bằng fake
+ * (unit test, simulation không cần tailnet thật) hoặc implementation khác
+ */
+
+const tailscale = require("./tailscale");
+const ssh = require("./ssh");
+const git = require("./git");
+const fs_adapter = require("./fs");
+const process_adapter = require("./process");
+const http_adapter = require("./http");
+const { ValidationError } = require("../utils/errors");
+
+const DEFAULT_ADAPTERS = {
+  tailscale,
+  ssh,
+  git,
+  fs: fs_adapter,
+  process: process_adapter,
+  http: http_adapter,
+};
+
+/**
+ * Tạo adapter context
+ *
+ * Override từng hàm: phần không override dùng adapter mặc định.
+ * Lưu ý: hàm mặc định gọi nội bộ lẫn nhau (ví dụ ssh.checkConnection → ssh.executeCommandCapture)
+ * không đi qua override - fake nên override đúng hàm mà core module gọi.
+ *
+ * @param {object} overrides - { tailscale, ssh, git, fs, process, http }
+ * @returns {object} context đầy đủ 6 adapter
+ */
+function createAdapterContext(overrides = {}) {
+  const unknown = Object.keys(overrides).filter((name) => !(name in DEFAULT_ADAPTERS));
+  if (unknown.length > 0) {
+    throw new ValidationError(`Unknown adapter(s): ${unknown.join(", ")} (known: ${Object.keys(DEFAULT_ADAPTERS).join(", ")})`);
+  }
+
+  return Object.fromEntries(
+    Object.entries(DEFAULT_ADAPTERS).map(([name, adapter]) => [name, overrides[name] ? { ...adapter, ...overrides[name] } : adapter]),
+  );
+}
+
+module.exports = {
+  DEFAULT_ADAPTERS,
+  createAdapterContext,
+};
@@ -99,6 +99,18 @@ function exists(filePath) {
   return fs.existsSync(filePath);
 }
 
+/**
+ * Check if directory is writable by current user
+ */
+function isWritable(dirPath) {
+  try {
+    fs.accessSync(dirPath, fs.constants.W_OK);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
 /**
  * Delete file or directory recursively
  */
@@ -114,8 +126,9 @@ function remove(targetPath) {
 
 /**
  * Get directory size (recursive)
+ * options.exclude(relativePath): bỏ qua file / thư mục (path tương đối so với dirPath, phân cách "/")
  */
-function getDirSize(dirPath) {
+function getDirSize(dirPath, options = {}, root = dirPath) {
   let size = 0;
 
   if (!fs.existsSync(dirPath)) return 0;
@@ -123,10 +136,11 @@ function getDirSize(dirPath) {
   const files = fs.readdirSync(dirPath);
   for (const file of files) {
     const filePath = path.join(dirPath, file);
+    if (options.exclude?.(path.relative(root, filePath).split(path.sep).join("/"))) continue;
     const stats = fs.statSync(filePath);
 
     if (stats.isDirectory()) {
-      size += getDirSize(filePath);
+      size += getDirSize(filePath, options, root);
     } else {
       size += stats.size;
     }
@@ -135,6 +149,31 @@ function getDirSize(dirPath) {
   return size;
 }
 
+/**
+ * Chuyển nội dung sourceDir vào targetDir (ghi đè file trùng tên), sourceDir còn lại những gì bị bỏ qua
+ * options.exclude(relativePath): giữ lại, không chuyển (path tương đối so với sourceDir, phân cách "/")
+ */
+function moveInto(sourceDir, targetDir, options = {}, root = sourceDir) {
+  if (!fs.existsSync(sourceDir)) return;
+
+  ensureDir(targetDir);
+  for (const file of fs.readdirSync(sourceDir)) {
+    const sourcePath = path.join(sourceDir, file);
+    const targetPath = path.join(targetDir, file);
+    if (options.exclude?.(path.relative(root, sourcePath).split(path.sep).join("/"))) continue;
+
+    if (fs.statSync(sourcePath).isDirectory()) {
+      if (fs.existsSync(targetPath) && !fs.statSync(targetPath).isDirectory()) {
+        remove(targetPath);
+      }
+      moveInto(sourcePath, targetPath, options, root);
+    } else {
+      remove(targetPath);
+      fs.renameSync(sourcePath, targetPath);
+    }
+  }
+}
+
 /**
  * Format bytes to human readable
  */
@@ -154,7 +193,9 @@ module.exports = {
   writeFile,
   readFile,
   exists,
+  isWritable,
   remove,
   getDirSize,
+  moveInto,
   formatBytes,
 };
@@ -26,17 +26,54 @@ function isGitRepo(cwd) {
   }
 }
 
+/**
+ * Build git add command
+ */
+function buildAddCommand(files) {
+  const filesStr = Array.isArray(files) ? files.join(" ") : files;
+  return `git add ${filesStr}`;
+}
+
+/**
+ * Build git commit command
+ */
+function buildCommitCommand(message) {
+  const safeMessage = message.replace(/"/g, '\\"');
+  return `git commit -m "${safeMessage}"`;
+}
+
+/**
+ * Build git push command
+ */
+function buildPushCommand(branch) {
+  return `git push origin ${branch}`;
+}
+
+/**
+ * Pathspec của .runner-data khi commit: trừ trạng thái riêng của runner (CONST.RUNNER_LOCAL_PATHS - journal, lock...)
+ */
+function getRunnerDataPathspec() {
+  return [CONST.RUNNER_DATA_DIR, ...CONST.RUNNER_LOCAL_PATHS.map((localPath) => `":(exclude)${CONST.RUNNER_DATA_DIR}/${localPath}"`)];
+}
+
+/**
+ * Các lệnh mà commitAndPush() sẽ chạy (dùng cho dry-run)
+ */
+function getCommitAndPushCommands(message, branch) {
+  return [buildAddCommand(getRunnerDataPathspec()), buildCommitCommand(message), buildPushCommand(branch)];
+}
+
 /**
  * Add files to git
+ * options.processAdapter: process adapter chạy lệnh (mặc định adapters/process; step có --deadline truyền bản đã giới hạn theo budget)
  */
 function add(files, options = {}) {
-  const { logger, cwd } = options;
+  const { logger, cwd, processAdapter = process_adapter } = options;
 
-  const filesStr = Array.isArray(files) ? files.join(" ") : files;
-  const cmd = `git add ${filesStr}`;
+  const cmd = buildAddCommand(files);
 
   try {
-    process_adapter.run(cmd, { logger, cwd, ignoreError: false });
+    processAdapter.run(cmd, { logger, cwd, ignoreError: false });
     return true;
   } catch (err) {
     throw new ProcessError(`Git add failed: ${err.message}`);
@@ -47,13 +84,12 @@ function add(files, options = {}) {
  * Commit changes
  */
 function commit(message, options = {}) {
-  const { logger, cwd } = options;
+  const { logger, cwd, processAdapter = process_adapter } = options;
 
-  const safeMessage = message.replace(/"/g, '\\"');
-  const cmd = `git commit -m "${safeMessage}"`;
+  const cmd = buildCommitCommand(message);
 
   try {
-    process_adapter.run(cmd, { logger, cwd, ignoreError: false });
+    processAdapter.run(cmd, { logger, cwd, ignoreError: false });
     return true;
   } catch (err) {
     // No changes to commit is OK
@@ -69,25 +105,30 @@ function commit(message, options = {}) {
 
 /**
  * Push to remote
+ * options.timings: collector (utils/timing), mỗi lần thử được ghi thành một entry
+ * options.timeout: timeout mỗi lần thử (mặc định CONST.GIT_NETWORK_TIMEOUT)
  */
 async function push(branch, options = {}) {
-  const { logger, cwd, retries = CONST.GIT_RETRY_COUNT } = options;
+  const { logger, cwd, retries = CONST.GIT_RETRY_COUNT, timings, timeout = CONST.GIT_NETWORK_TIMEOUT, processAdapter = process_adapter } = options;
 
-  const cmd = `git push origin ${branch}`;
+  const cmd = buildPushCommand(branch);
 
   for (let attempt = 1; attempt <= retries; attempt++) {
+    const end = timings?.start(`git push (attempt ${attempt}/${retries})`, { attempt });
     try {
-      process_adapter.run(cmd, { logger, cwd, ignoreError: false });
+      processAdapter.run(cmd, { logger, cwd, ignoreError: false, timeout });
+      end?.();
       if (logger) {
         logger.success(`Pushed to ${branch}`);
       }
       return true;
     } catch (err) {
+      end?.({ status: "failed" });
       if (attempt < retries) {
         if (logger) {
           logger.warn(`Push failed (attempt ${attempt}/${retries}), retrying...`);
         }
-        await process_adapter.sleep(CONST.GIT_RETRY_DELAY);
+        await processAdapter.sleep(CONST.GIT_RETRY_DELAY);
       } else {
         throw new ProcessError(`Git push failed after ${retries} attempts: ${err.message}`);
       }
@@ -99,13 +140,13 @@ async function push(branch, options = {}) {
  * Pull from remote
  */
 async function pull(branch, options = {}) {
-  const { logger, cwd, retries = CONST.GIT_RETRY_COUNT } = options;
+  const { logger, cwd, retries = CONST.GIT_RETRY_COUNT, timeout = CONST.GIT_NETWORK_TIMEOUT, processAdapter = process_adapter } = options;
 
   const cmd = `git pull origin ${branch}`;
 
   for (let attempt = 1; attempt <= retries; attempt++) {
     try {
-      process_adapter.run(cmd, { logger, cwd, ignoreError: false });
+      processAdapter.run(cmd, { logger, cwd, ignoreError: false, timeout });
       if (logger) {
         logger.success(`Pulled from ${branch}`);
       }
@@ -115,7 +156,7 @@ async function pull(branch, options = {}) {
         if (logger) {
           logger.warn(`Pull failed (attempt ${attempt}/${retries}), retrying...`);
         }
-        await process_adapter.sleep(CONST.GIT_RETRY_DELAY);
+        await processAdapter.sleep(CONST.GIT_RETRY_DELAY);
       } else {
         throw new ProcessError(`Git pull failed after ${retries} attempts: ${err.message}`);
       }
@@ -134,6 +175,27 @@ function getCurrentBranch(cwd) {
   }
 }
 
+/**
+ * Get remote URL (null nếu remote chưa được cấu hình)
+ */
+function getRemoteUrl(remote = "origin", cwd) {
+  try {
+    return process_adapter.runCapture(`git remote get-url ${remote}`, { cwd });
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get configured git identity
+ */
+function getIdentity(cwd) {
+  return {
+    name: process_adapter.runCapture("git config user.name", { cwd }) || null,
+    email: process_adapter.runCapture("git config user.email", { cwd }) || null,
+  };
+}
+
 /**
  * Check if there are uncommitted changes
  */
@@ -150,7 +212,7 @@ function hasUncommittedChanges(cwd) {
  * Full workflow: add, commit, push
  */
 async function commitAndPush(message, branch, options = {}) {
-  const { logger, cwd } = options;
+  const { logger, cwd, timings, processAdapter } = options;
 
   if (!hasUncommittedChanges(cwd)) {
     if (logger) {
@@ -162,17 +224,17 @@ async function commitAndPush(message, branch, options = {}) {
   // Ensure git identity is configured
   ensureIdentity(cwd, { logger });
 
-  // Add all changes in .runner-data
+  // Add all changes in .runner-data (trừ journal / partial-sync marker / lock / PID file)
   // Tạo file .gitkeep trong thư mục .runner-data
   require("fs").writeFileSync(".runner-data/.gitkeep", new Date().toISOString());
-  add(".runner-data", { logger, cwd });
+  add(getRunnerDataPathspec(), { logger, cwd, processAdapter });
 
   // Commit
-  const committed = commit(message, { logger, cwd });
+  const committed = commit(message, { logger, cwd, processAdapter });
   if (!committed) return false;
 
   // Push
-  await push(branch, { logger, cwd });
+  await push(branch, { logger, cwd, timings, processAdapter });
 
   return true;
 }
@@ -211,6 +273,10 @@ function ensureIdentity(cwd, options = {}) {
 }
 
 module.exports = {
+  buildAddCommand,
+  buildCommitCommand,
+  buildPushCommand,
+  getCommitAndPushCommands,
   isAvailable,
   isGitRepo,
   add,
@@ -218,6 +284,8 @@ module.exports = {
   push,
   pull,
   getCurrentBranch,
+  getRemoteUrl,
+  getIdentity,
   hasUncommittedChanges,
   commitAndPush,
 };
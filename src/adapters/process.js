@@ -3,24 +3,58 @@
  * Cross-platform process spawning
  */
 
-const { execSync, spawn } = require("child_process");
+const { execSync, execFileSync, spawn } = require("child_process");
+const fs = require("fs");
 const os = require("os");
 
+const { InterruptedError } = require("../utils/errors");
+
 const isWindows = os.platform() === "win32";
 
+// Child process đang chạy từ runWithTimeout (mỗi child một process group riêng) - xem terminateChildren()
+const activeChildren = new Set();
+
+// true sau terminateChildren() (shutdown): không spawn child mới nữa
+let terminating = false;
+
+// --json: stdout chỉ dành cho JSON document - stdout của child process chuyển sang stderr (fd 2)
+let childStdoutToStderr = false;
+
+/**
+ * Chuyển stdout của mọi child process (git, rsync, scp, tailscale, ssh, hooks) sang stderr
+ */
+function setChildStdoutToStderr(enabled) {
+  childStdoutToStderr = Boolean(enabled);
+}
+
+function getChildStdio() {
+  return childStdoutToStderr ? ["inherit", 2, "inherit"] : "inherit";
+}
+
+/**
+ * Throw InterruptedError nếu đang shutdown - child spawn lúc này sẽ sống tiếp sau khi runner-sync exit
+ */
+function assertCanSpawn(cmd) {
+  if (terminating) {
+    throw new InterruptedError(`Interrupted - not starting: ${formatCommand(cmd)}`);
+  }
+}
+
 /**
  * Run command và wait for completion
+ * options.timeout (ms): kill command khi quá hạn - lỗi "Command timeout ..." giống runWithTimeout
  */
 function run(cmd, options = {}) {
-  const { ignoreError = false, cwd, logger } = options;
+  const { ignoreError = false, cwd, logger, timeout } = options;
 
+  assertCanSpawn(cmd);
   if (logger) {
     logger.info(cmd);
   }
 
   try {
     return execSync(cmd, {
-      stdio: "inherit",
+      stdio: getChildStdio(),
       cwd: cwd || process.cwd(),
       ...options,
     });
@@ -31,6 +65,9 @@ function run(cmd, options = {}) {
       }
       return null;
     }
+    if (err.code === "ETIMEDOUT") {
+      throw new Error(`Command timeout after ${timeout}ms: ${cmd}`);
+    }
     throw err;
   }
 }
@@ -61,48 +98,99 @@ function commandExists(cmd) {
   return !!runCapture(check);
 }
 
+/**
+ * Gửi signal tới cả process tree của child (Windows: taskkill luôn force)
+ */
+function killTree(child, signal, logger) {
+  if (isWindows) {
+    try {
+      execSync(`taskkill /pid ${child.pid} /T /F`);
+    } catch (err) {
+      if (logger) {
+        logger.warn(`Failed to terminate process tree: ${err.message}`);
+      }
+    }
+  } else {
+    try {
+      process.kill(-child.pid, signal);
+    } catch (err) {
+      // ESRCH: group đã thoát
+      if (logger && err.code !== "ESRCH") {
+        logger.warn(`Failed to terminate process group: ${err.message}`);
+      }
+    }
+  }
+}
+
+/**
+ * Dừng mọi child process đang chạy (shutdown): SIGTERM cho từng process group,
+ * sau graceMs group nào còn sống thì SIGKILL. Từ đây run / runWithTimeout / spawnDetached từ chối spawn.
+ *
+ * @returns {Promise<number>} số child đã bị dừng
+ */
+async function terminateChildren(options = {}) {
+  const { logger, graceMs = 3000 } = options;
+  terminating = true;
+  const children = [...activeChildren];
+  if (children.length === 0) return 0;
+
+  if (logger) {
+    logger.info(`Terminating ${children.length} child process(es)...`);
+  }
+  children.forEach((child) => killTree(child, "SIGTERM", logger));
+
+  const deadline = Date.now() + graceMs;
+  while (children.some((child) => activeChildren.has(child)) && Date.now() < deadline) {
+    await sleep(100);
+  }
+  children.filter((child) => activeChildren.has(child)).forEach((child) => killTree(child, "SIGKILL", logger));
+
+  return children.length;
+}
+
 /**
  * Run command with timeout
+ * options.onOutput(chunk): nhận stdout (vẫn được in ra như bình thường - stderr khi --json), ví dụ để parse rsync --progress
  */
 function runWithTimeout(cmd, timeoutMs, options = {}) {
-  const { logger } = options;
+  const { logger, onOutput } = options;
 
   // Support both string commands and argv arrays.
   // - If cmd is an array: [exe, ...args] -> spawn(exe, args)
   // - If cmd is a string: spawn(cmd, { shell: true }) so quoting works cross-platform
   const useArray = Array.isArray(cmd);
 
+  try {
+    assertCanSpawn(cmd);
+  } catch (err) {
+    return Promise.reject(err);
+  }
+
   return new Promise((resolve, reject) => {
     const spawnOptions = {
-      stdio: "inherit",
+      stdio: onOutput ? ["inherit", "pipe", "inherit"] : getChildStdio(),
       cwd: options.cwd || process.cwd(),
+      env: options.env ? { ...process.env, ...options.env } : process.env,
       detached: !isWindows,
     };
     const child = useArray ? spawn(cmd[0], cmd.slice(1), spawnOptions) : spawn(cmd, { ...spawnOptions, shell: true });
+    activeChildren.add(child);
+
+    if (onOutput) {
+      child.stdout.on("data", (chunk) => {
+        (childStdoutToStderr ? process.stderr : process.stdout).write(chunk);
+        onOutput(chunk.toString());
+      });
+    }
 
     const timer = setTimeout(() => {
-      if (isWindows) {
-        try {
-          execSync(`taskkill /pid ${child.pid} /T /F`);
-        } catch (err) {
-          if (logger) {
-            logger.warn(`Failed to terminate process tree: ${err.message}`);
-          }
-        }
-      } else {
-        try {
-          process.kill(-child.pid, "SIGKILL");
-        } catch (err) {
-          if (logger) {
-            logger.warn(`Failed to terminate process group: ${err.message}`);
-          }
-        }
-      }
+      killTree(child, "SIGKILL", logger);
       reject(new Error(`Command timeout after ${timeoutMs}ms: ${useArray ? cmd.join(" ") : cmd}`));
     }, timeoutMs);
 
     child.on("close", (code) => {
       clearTimeout(timer);
+      activeChildren.delete(child);
 
       if (code === 0) {
         resolve(true);
@@ -113,11 +201,119 @@ function runWithTimeout(cmd, timeoutMs, options = {}) {
 
     child.on("error", (err) => {
       clearTimeout(timer);
+      activeChildren.delete(child);
       reject(err);
     });
   });
 }
 
+/**
+ * Start command detached (process group riêng, không giữ event loop) - process sống tiếp sau khi runner-sync exit
+ * stdout / stderr được append vào options.logFile
+ *
+ * @returns {number} pid (trên POSIX cũng là process group id)
+ */
+function spawnDetached(cmd, options = {}) {
+  const { cwd, env, logFile } = options;
+  assertCanSpawn(cmd);
+  const fd = fs.openSync(logFile, "a");
+
+  try {
+    const child = spawn(cmd, {
+      shell: true,
+      cwd: cwd || process.cwd(),
+      env: env ? { ...process.env, ...env } : process.env,
+      detached: true,
+      stdio: ["ignore", fd, fd],
+      windowsHide: true,
+    });
+    // Lỗi spawn (cwd không tồn tại...) phát async - pid undefined là đủ để báo lỗi
+    child.on("error", () => {});
+    if (!child.pid) {
+      throw new Error(`Failed to start: ${cmd}`);
+    }
+    child.unref();
+    return child.pid;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Process còn sống không (EPERM: tồn tại nhưng thuộc user khác)
+ */
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === "EPERM";
+  }
+}
+
+/**
+ * PID các process có command line khớp pattern (pgrep -f), trừ chính runner-sync và process cha
+ * Windows: không hỗ trợ (trả về [])
+ */
+function findProcesses(pattern) {
+  if (isWindows) return [];
+
+  try {
+    return execFileSync("pgrep", ["-f", pattern], { encoding: "utf8", stdio: ["ignore", "pipe", "ignore"] })
+      .split(/\s+/)
+      .filter(Boolean)
+      .map(Number)
+      .filter((pid) => pid !== process.pid && pid !== process.ppid);
+  } catch {
+    // exit 1: không có process nào khớp
+    return [];
+  }
+}
+
+/**
+ * Gửi signal tới process group của pid (process start bằng spawnDetached), fallback về riêng pid
+ * Windows: taskkill /T (SIGKILL thêm /F)
+ *
+ * @returns {boolean} false nếu process không còn tồn tại
+ */
+function signalProcess(pid, signal = "SIGTERM") {
+  if (isWindows) {
+    try {
+      execSync(`taskkill /pid ${pid} /T${signal === "SIGKILL" ? " /F" : ""}`, { stdio: "ignore" });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  for (const target of [-pid, pid]) {
+    try {
+      process.kill(target, signal);
+      return true;
+    } catch (err) {
+      if (err.code !== "ESRCH") throw err;
+    }
+  }
+  return false;
+}
+
+/**
+ * Format command (string hoặc argv array) thành chuỗi để hiển thị
+ * Quote các argument có khoảng trắng hoặc ký tự đặc biệt
+ */
+function formatCommand(cmd) {
+  if (!Array.isArray(cmd)) return cmd;
+
+  return cmd
+    .map((arg) => {
+      const str = String(arg);
+      if (str === "") return '""';
+      if (!/[\s"'$`\\|&;<>()*?]/.test(str)) return str;
+      return `'${str.replace(/'/g, "'\\''")}'`;
+    })
+    .join(" ");
+}
+
 /**
  * Sleep
  */
@@ -138,10 +334,17 @@ async function waitForCondition(checkFn, timeoutMs = 30000, intervalMs = 1000) {
 }
 
 module.exports = {
+  setChildStdoutToStderr,
   run,
   runCapture,
   commandExists,
   runWithTimeout,
+  terminateChildren,
+  spawnDetached,
+  isProcessAlive,
+  findProcesses,
+  signalProcess,
+  formatCommand,
   sleep,
   waitForCondition,
   isWindows,
@@ -0,0 +1,120 @@
+/**
+ * adapters/simulation.js
+ * Fake adapters cho --simulate <fixture-dir>: trả lời từ dữ liệu đã ghi lại thay vì tailnet thật
+ *
+ * Fixture dir:
+ *   status.json                  - output của `tailscale status --json` (bắt buộc)
+ *   ssh.json                     - SSH answers theo IP hoặc hostname của peer (tùy chọn):
+ *                                  { "100.64.0.2": { "reachable": true, "dataDir": true, "workDir": "/home/runner/work" } }
+ *   metadata/<ip|hostname>.json  - runner-sync metadata của peer (tùy chọn)
+ *
+ * Peer không có trong ssh.json được coi là không SSH được.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ValidationError } = require("../utils/errors");
+
+function readFixtureJson(filePath, required) {
+  if (!fs.existsSync(filePath)) {
+    if (required) {
+      throw new ValidationError(`Simulation fixture not found: ${filePath}`);
+    }
+    return null;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (err) {
+    throw new ValidationError(`Invalid JSON in simulation fixture ${filePath}: ${err.message}`);
+  }
+}
+
+/**
+ * Đọc toàn bộ fixture
+ */
+function loadFixtures(fixtureDir) {
+  const dir = path.resolve(fixtureDir);
+  if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+    throw new ValidationError(`Simulation fixture directory not found: ${dir}`);
+  }
+
+  const metadataDir = path.join(dir, "metadata");
+  const metadata = {};
+  if (fs.existsSync(metadataDir)) {
+    for (const file of fs.readdirSync(metadataDir).filter((name) => name.endsWith(".json"))) {
+      // Giữ dạng chuỗi JSON - runner-detector tự parse (giống output `cat` qua SSH)
+      metadata[path.basename(file, ".json")] = JSON.stringify(readFixtureJson(path.join(metadataDir, file), true));
+    }
+  }
+
+  return {
+    dir,
+    status: readFixtureJson(path.join(dir, "status.json"), true),
+    ssh: readFixtureJson(path.join(dir, "ssh.json"), false) || {},
+    metadata,
+  };
+}
+
+/**
+ * Tạo adapter overrides (dùng với createAdapterContext) từ fixture dir
+ */
+function createSimulationAdapters(fixtureDir) {
+  const fixtures = loadFixtures(fixtureDir);
+  const { status } = fixtures;
+  const peers = Object.values(status.Peer || {});
+
+  // "runner@100.64.0.2" / "100.64.0.2" / "old-runner.tailnet.ts.net" → các key để tra fixture
+  const hostKeys = (host) => {
+    const bare = String(host).replace(/^[^@]*@/, "");
+    const peer = peers.find(
+      (item) => item.TailscaleIPs?.includes(bare) || item.HostName === bare || item.DNSName?.replace(/\.$/, "") === bare.replace(/\.$/, ""),
+    );
+    return [bare, ...(peer ? [...(peer.TailscaleIPs || []), peer.HostName] : [])];
+  };
+  const lookup = (table, host) => hostKeys(host).map((key) => table[key]).find((value) => value !== undefined);
+  const sshAnswer = (host) => lookup(fixtures.ssh, host) || { reachable: false };
+
+  const executeCommandCapture = (host, command) => {
+    const answer = sshAnswer(host);
+    if (!answer.reachable) return null;
+
+    if (command.startsWith("cat ")) {
+      return lookup(fixtures.metadata, host) || "";
+    }
+    // test -d "<runnerDataDir>" / find ... -name ".runner-data"
+    if (command.startsWith("test -d") || command.startsWith("find ")) {
+      return answer.dataDir ? "yes" : "";
+    }
+    // if [ -d "<workDir>" ]; then echo "<workDir>"; fi
+    const workDirMatch = command.match(/^if \[ -d "([^"]+)" \]/);
+    if (workDirMatch) {
+      return answer.workDir === workDirMatch[1] ? answer.workDir : "";
+    }
+    return "";
+  };
+
+  return {
+    tailscale: {
+      install: () => true,
+      login: async () => true,
+      getStatus: () => status,
+      isLoggedIn: () => status.BackendState === "Running",
+      getIP: () => status.Self?.TailscaleIPs?.[0] || null,
+      getHostname: () => status.Self?.HostName || null,
+    },
+    ssh: {
+      checkConnection: (host) => Boolean(sshAnswer(host).reachable),
+      executeCommandCapture,
+    },
+    process: {
+      // tailscale có sẵn trong môi trường được ghi lại
+      commandExists: () => true,
+    },
+  };
+}
+
+module.exports = {
+  loadFixtures,
+  createSimulationAdapters,
+};
@@ -27,34 +27,42 @@ function resolveHost(host) {
 }
 
 /**
- * Execute command via SSH
+ * Build argv cho lệnh SSH (dùng chung cho execute và dry-run)
  */
-function executeCommand(host, command, options = {}) {
-  const { logger, sshPath = "ssh", timeout = CONST.SSH_TIMEOUT } = options;
-
+function buildCommand(host, command, sshPath = "ssh") {
   // Resolve host to include user
   const resolvedHost = resolveHost(host);
 
   // If sshPath contains spaces, spawn can still execute it if provided as argv[0].
   // Avoid building a single shell string to keep quoting predictable.
-  const sshArgs = ["-o", "StrictHostKeyChecking=no", "-o", "ConnectTimeout=10", resolvedHost, command];
+  return [sshPath, "-o", "StrictHostKeyChecking=no", "-o", "ConnectTimeout=10", resolvedHost, command];
+}
+
+/**
+ * Execute command via SSH
+ * options.processAdapter: process adapter chạy ssh (mặc định adapters/process; step có --deadline truyền bản đã giới hạn theo budget)
+ */
+function executeCommand(host, command, options = {}) {
+  const { logger, sshPath = "ssh", timeout = CONST.SSH_TIMEOUT, processAdapter = process_adapter } = options;
+
+  const sshCmd = buildCommand(host, command, sshPath);
 
   if (logger) {
-    logger.info([sshPath, ...sshArgs].join(" "));
+    logger.info(sshCmd.join(" "));
   }
 
-  return process_adapter.runWithTimeout([sshPath, ...sshArgs], timeout, { logger });
+  return processAdapter.runWithTimeout(sshCmd, timeout, { logger });
 }
 
 /**
  * Execute command với fallback sudo nếu thất bại
  */
 async function executeCommandWithSudoFallback(host, command, options = {}) {
-  const { logger, sshPath = "ssh", timeout = CONST.SSH_TIMEOUT } = options;
+  const { logger, sshPath = "ssh", timeout = CONST.SSH_TIMEOUT, processAdapter } = options;
 
   try {
     // Thử lệnh thường trước
-    return await executeCommand(host, command, { logger, sshPath, timeout });
+    return await executeCommand(host, command, { logger, sshPath, timeout, processAdapter });
   } catch (err) {
     // Nếu lỗi và chưa có sudo, thử lại với sudo
     if (!command.trim().startsWith("sudo")) {
@@ -62,7 +70,7 @@ async function executeCommandWithSudoFallback(host, command, options = {}) {
         logger.debug(`Command failed, retrying with sudo: ${command}`);
       }
       try {
-        return await executeCommand(host, `sudo ${command}`, { logger, sshPath, timeout });
+        return await executeCommand(host, `sudo ${command}`, { logger, sshPath, timeout, processAdapter });
       } catch (sudoErr) {
         // Throw lỗi sudo nếu cả 2 đều fail
         throw sudoErr;
@@ -77,7 +85,7 @@ async function executeCommandWithSudoFallback(host, command, options = {}) {
  * Execute command và capture output
  */
 function executeCommandCapture(host, command, options = {}) {
-  const { sshPath = "ssh" } = options;
+  const { sshPath = "ssh", timeout = CONST.SSH_TIMEOUT, processAdapter = process_adapter } = options;
 
   // Resolve host to include user
   const resolvedHost = resolveHost(host);
@@ -85,7 +93,7 @@ function executeCommandCapture(host, command, options = {}) {
   const sshCmd = `${sshPath} -o StrictHostKeyChecking=no -o ConnectTimeout=10 ${resolvedHost} "${command}"`;
 
   try {
-    return process_adapter.runCapture(sshCmd);
+    return processAdapter.runCapture(sshCmd, { timeout });
   } catch (err) {
     return null;
   }
@@ -95,7 +103,7 @@ function executeCommandCapture(host, command, options = {}) {
  * Check if SSH connection works
  */
 function checkConnection(host, options = {}) {
-  const { logger, sshPath = "ssh" } = options;
+  const { logger, sshPath = "ssh", processAdapter } = options;
   // Resolve host to include user
   const resolvedHost = resolveHost(host);
 
@@ -104,7 +112,7 @@ function checkConnection(host, options = {}) {
   }
   const strOK = "OKKK";
   try {
-    const result = executeCommandCapture(resolvedHost, "echo " + strOK, { sshPath });
+    const result = executeCommandCapture(resolvedHost, "echo " + strOK, { sshPath, processAdapter });
     logger.debug(`Capture checkConnection: ${result}`);
     return (result + "").includes(strOK);
   } catch {
@@ -112,8 +120,210 @@ function checkConnection(host, options = {}) {
   }
 }
 
+/**
+ * Quote một argument cho remote sh
+ */
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * Gửi script dạng base64, decode và chạy bằng `sh` ở remote - nội dung script (lệnh stop, pattern...) không phải
+ * escape thêm, và lệnh SSH chỉ gồm [A-Za-z0-9+/= |] nên cũng an toàn trong executeCommandCapture
+ */
+function wrapRemoteScript(script) {
+  return `echo ${Buffer.from(script, "utf8").toString("base64")} | base64 -d | sh`;
+}
+
+/**
+ * Service → { name, stop, cwd } (tên đơn thuần: không có stop definition)
+ */
+function toServiceDefinition(service) {
+  return typeof service === "string" ? { name: service, stop: null, cwd: null } : service;
+}
+
+/**
+ * Không khai báo command / pidfile / match → stop kiểu cũ theo tên (systemd unit / process khớp tên)
+ */
+function isLegacyStop(stop) {
+  return !stop || (!stop.command && !stop.pidfile && !stop.match);
+}
+
+/**
+ * Pattern (ERE, pgrep / pkill -f) cho service không có stop definition: tên là nguyên một argument hoặc basename
+ * trong command line (`pocketbase serve`, `node /usr/bin/http-server`) - không khớp substring (`pocketbase.log`, `my-pocketbase`)
+ */
+function buildNamePattern(name) {
+  return `(^|[ /])${name.replace(/[.[\]()*+?{}|^$\\]/g, "\\$&")}( |$)`;
+}
+
+/**
+ * Process của service: { pidfile, match } - check, stop và SIGKILL dùng chung để luôn nhắm cùng một process
+ */
+function getProcessTargets({ name, stop }) {
+  return isLegacyStop(stop) ? { pidfile: null, match: buildNamePattern(name) } : { pidfile: stop.pidfile, match: stop.match };
+}
+
+/**
+ * Điều kiện sh: process của service còn chạy (không có stop definition: systemd unit active hoặc process khớp tên)
+ * pgrep -f <match> không match chính script vì script đi qua stdin
+ */
+function buildProcessAliveCheck(definition) {
+  const { name, stop } = definition;
+  const targets = getProcessTargets(definition);
+
+  const checks = [];
+  if (isLegacyStop(stop)) {
+    checks.push(`systemctl is-active --quiet ${shellQuote(name)} 2>/dev/null`);
+  }
+  if (targets.pidfile) {
+    checks.push(`( p=$(cat ${shellQuote(targets.pidfile)} 2>/dev/null) && [ -n "$p" ] && { kill -0 "$p" 2>/dev/null || sudo -n kill -0 "$p" 2>/dev/null; } )`);
+  }
+  if (targets.match) {
+    checks.push(`pgrep -f ${shellQuote(targets.match)} >/dev/null 2>&1`);
+  }
+  // Có khoảng trắng sau "(": "((" là arithmetic trong bash
+  return checks.length > 0 ? `( ${checks.join(" || ")} )` : "false";
+}
+
+/**
+ * Điều kiện sh: service còn chạy - process còn sống hoặc post-stop check (stop.check) chưa đạt
+ */
+function buildServiceAliveCheck(service) {
+  const definition = toServiceDefinition(service);
+  const processAlive = buildProcessAliveCheck(definition);
+  if (!definition.stop?.check) return processAlive;
+
+  const cd = definition.cwd ? `cd ${shellQuote(definition.cwd)} 2>/dev/null; ` : "";
+  return `( ${processAlive} || ! ( ${cd}${definition.stop.check} ) >/dev/null 2>&1 )`;
+}
+
+/**
+ * Lệnh sh gửi signal tới process của service (pidfile: cả process group; match: pkill -f) - targets: getProcessTargets()
+ */
+function buildSignalCommand(targets, signal) {
+  const sig = signal.replace(/^SIG/, "");
+  const commands = [];
+  if (targets.pidfile) {
+    commands.push(
+      `p=$(cat ${shellQuote(targets.pidfile)} 2>/dev/null); [ -n "$p" ] && { kill -${sig} -"$p" 2>/dev/null || kill -${sig} "$p" 2>/dev/null || sudo -n kill -${sig} "$p" 2>/dev/null; }`,
+    );
+  }
+  if (targets.match) {
+    commands.push(`pkill -${sig} -f ${shellQuote(targets.match)} 2>/dev/null || sudo -n pkill -${sig} -f ${shellQuote(targets.match)} 2>/dev/null`);
+  }
+  return commands.join("; ");
+}
+
+/**
+ * Script stop services song song trên remote (mỗi service một subshell chạy nền)
+ * Có stop definition: stop.command → stop.signal → chờ tối đa stop.grace → SIGKILL nếu process còn sống
+ */
+function buildStopServicesScript(services) {
+  const blocks = services.map(toServiceDefinition).map((definition) => {
+    const { name, stop, cwd } = definition;
+    const targets = getProcessTargets(definition);
+    if (isLegacyStop(stop)) {
+      // systemd unit (nếu có) rồi process khớp tên - cùng matcher với buildProcessAliveCheck
+      return `(sudo systemctl stop ${shellQuote(name)} 2>/dev/null; ${buildSignalCommand(targets, "SIGTERM")}) &`;
+    }
+
+    const lines = [`# ${name}`, "("];
+    if (cwd) lines.push(`  cd ${shellQuote(cwd)} 2>/dev/null`);
+    if (stop.command) lines.push(`  ( ${stop.command} ) >/dev/null 2>&1`);
+    if (targets.pidfile || targets.match) {
+      const alive = buildProcessAliveCheck(definition);
+      lines.push(
+        `  ${buildSignalCommand(targets, stop.signal)}`,
+        `  i=0; while ${alive} && [ $i -lt ${Math.ceil(stop.grace / 1000)} ]; do sleep 1; i=$((i + 1)); done`,
+        `  if ${alive}; then ${buildSignalCommand(targets, "SIGKILL")}; fi`,
+      );
+    }
+    lines.push(") &");
+    return lines.join("\n");
+  });
+
+  // wait để đợi tất cả background jobs hoàn thành
+  return ["sleep 1", ...blocks, "wait"].join("\n");
+}
+
+/**
+ * Build remote command để stop services song song (chạy nền, không chờ)
+ */
+function buildStopServicesCommand(services) {
+  return `nohup sh -c '${wrapRemoteScript(buildStopServicesScript(services))}' >/dev/null 2>&1 & disown`;
+}
+
+/**
+ * Build remote command gửi SIGKILL tới services (escalation sau stop grace, chạy đồng bộ)
+ * Không có stop definition: systemctl kill rồi process khớp tên (buildNamePattern)
+ */
+function buildKillServicesCommand(services) {
+  const lines = services.map(toServiceDefinition).map((definition) => {
+    const signal = buildSignalCommand(getProcessTargets(definition), "SIGKILL");
+    return isLegacyStop(definition.stop) ? `sudo -n systemctl kill -s KILL ${shellQuote(definition.name)} 2>/dev/null; ${signal}` : signal;
+  });
+  return wrapRemoteScript([...lines, "echo KILLED"].join("\n"));
+}
+
+/**
+ * Build remote command báo trạng thái services: ALIVE:<name> (còn chạy, xem buildServiceAliveCheck),
+ * UNKNOWN:<name> (không kiểm tra được - remote không có pgrep), không in gì: đã dừng
+ * BYNAME:<name>: service không có stop definition và không phải systemd unit - chỉ nhận diện được theo tên
+ */
+function buildServicesAliveCommand(services) {
+  const checks = services.map(toServiceDefinition).map((definition) => {
+    const alive = `if ${buildServiceAliveCheck(definition)}; then echo ${shellQuote(`ALIVE:${definition.name}`)}`;
+    const unknown = getProcessTargets(definition).match ? `; elif ! command -v pgrep >/dev/null 2>&1; then echo ${shellQuote(`UNKNOWN:${definition.name}`)}` : "";
+    const byName = isLegacyStop(definition.stop)
+      ? `\nsystemctl cat ${shellQuote(definition.name)} >/dev/null 2>&1 || echo ${shellQuote(`BYNAME:${definition.name}`)}`
+      : "";
+    return `${alive}${unknown}; fi${byName}`;
+  });
+  return wrapRemoteScript([...checks, "echo CHECKED"].join("\n"));
+}
+
+/**
+ * Trạng thái services trên host: { running, unknown, byName } (tên), null nếu không SSH được
+ */
+function getServiceStates(host, services, options = {}) {
+  const { logger, sshPath = "ssh", processAdapter } = options;
+  const output = executeCommandCapture(resolveHost(host), buildServicesAliveCommand(services), { sshPath, logger, silent: true, processAdapter });
+
+  if (!output || !output.includes("CHECKED")) {
+    return null;
+  }
+  const lines = output.split(/\r?\n/);
+  const names = services.map((service) => toServiceDefinition(service).name);
+  return {
+    running: names.filter((name) => lines.includes(`ALIVE:${name}`)),
+    unknown: names.filter((name) => lines.includes(`UNKNOWN:${name}`)),
+    byName: names.filter((name) => lines.includes(`BYNAME:${name}`)),
+  };
+}
+
+/**
+ * Services (tên) còn chạy trên host, null nếu không SSH được
+ */
+function getRunningServices(host, services, options = {}) {
+  return getServiceStates(host, services, options)?.running ?? null;
+}
+
+/**
+ * SIGKILL services trên host, false nếu không SSH được
+ */
+function killServices(host, services, options = {}) {
+  const { logger, sshPath = "ssh", processAdapter } = options;
+  const output = executeCommandCapture(resolveHost(host), buildKillServicesCommand(services), { sshPath, logger, silent: true, processAdapter });
+  return Boolean(output && output.includes("KILLED"));
+}
+
+/**
+ * Stop services trên host (tên hoặc { name, stop, cwd } - xem buildStopServicesScript)
+ * Chỉ gửi lệnh stop (chạy nền trên remote) - xác nhận bằng getRunningServices (xem service-controller)
+ */
 async function stopServices(host, services, options = {}) {
-  const { logger, sshPath = "ssh" } = options;
+  const { logger, sshPath = "ssh", processAdapter } = options;
 
   if (!services || services.length === 0) {
     if (logger) {
@@ -124,28 +334,24 @@ async function stopServices(host, services, options = {}) {
 
   // Resolve host to include user
   const resolvedHost = resolveHost(host);
+  const names = services.map((service) => toServiceDefinition(service).name).join(", ");
 
-  logger.info(`Stopping services on ${resolvedHost}: ${services.join(", ")}`);
-
-  // Stop tất cả services song song với &
-  const stopCommands = services.map((service) => `(sudo systemctl stop ${service} 2>/dev/null || sudo pkill -f ${service} 2>/dev/null) &`).join(" ");
+  logger.info(`Stopping services on ${resolvedHost}: ${names}`);
 
   try {
-    // wait để đợi tất cả background jobs hoàn thành
-    const bgCommand = `nohup sh -c 'sleep 1 && ${stopCommands} wait' >/dev/null 2>&1 & disown`;
+    const bgCommand = buildStopServicesCommand(services);
 
     await executeCommand(resolvedHost, bgCommand, {
       logger,
       sshPath,
       timeout: 3000,
+      processAdapter,
     });
 
-    logger.success(`Sent parallel stop commands for: ${services.join(", ")}`);
-
-    await new Promise((resolve) => setTimeout(resolve, 2000));
+    logger.success(`Sent parallel stop commands for: ${names}`);
   } catch (err) {
     if (err.message.includes("Connection") || err.message.includes("timed out")) {
-      logger.success(`Stop commands sent for ${services.join(", ")} (connection may be lost)`);
+      logger.success(`Stop commands sent for ${names} (connection may be lost)`);
     } else {
       logger.warn(`Failed to stop services: ${err.message}`);
     }
@@ -153,10 +359,21 @@ async function stopServices(host, services, options = {}) {
 }
 
 module.exports = {
+  buildCommand,
+  buildStopServicesCommand,
+  buildStopServicesScript,
+  buildServicesAliveCommand,
+  buildKillServicesCommand,
+  buildNamePattern,
+  shellQuote,
+  wrapRemoteScript,
   executeCommand,
   executeCommandWithSudoFallback,
   executeCommandCapture,
   checkConnection,
   stopServices,
+  getServiceStates,
+  getRunningServices,
+  killServices,
   resolveHost, // Export để có thể test hoặc dùng ở nơi khác
 };
@@ -133,21 +133,12 @@ function getHostname(logger) {
 }
 
 /**
- * Login với OAuth credentials
- *
- * OAuth login format: --auth-key=CLIENT_ID:CLIENT_SECRET
- * Platform differences:
- * - Linux: needs sudo, supports --ssh
- * - Windows: no sudo, no --ssh
- * - macOS: no sudo, no --ssh (usually)
+ * Build lệnh `tailscale up` với OAuth credentials
+ * (fallback --auth-key khi không có OAuth client nhưng có config.tailscaleAuthKey)
  */
-async function login(clientId, clientSecret, tags, logger, config) {
-  logger.info("Logging in to Tailscale with OAuth client...");
-
-  // Validate inputs
-  if (!clientId || !clientSecret) {
-    throw new ProcessError("TAILSCALE_CLIENT_ID and TAILSCALE_CLIENT_SECRET are required");
-  }
+function buildLoginCommand(clientId, clientSecret, tags, config) {
+  const authArgs =
+    clientId && clientSecret ? [`--client-id=${clientId}`, `--client-secret=${clientSecret}`] : [`--auth-key=${config.tailscaleAuthKey}`];
 
   // Build tag parameter
   const tagStr = tags ? `--advertise-tags=${tags}` : "";
@@ -160,9 +151,8 @@ async function login(clientId, clientSecret, tags, logger, config) {
     "tailscale",
     "up",
 
-    // OAuth auth key
-    `--client-id=${clientId}`,
-    `--client-secret=${clientSecret}`,
+    // OAuth client hoặc auth key
+    ...authArgs,
 
     // Network settings
     "--accept-routes",
@@ -175,19 +165,48 @@ async function login(clientId, clientSecret, tags, logger, config) {
     tagStr,
   ].filter(Boolean); // Remove empty strings
 
-  const cmd = cmdParts.join(" ");
+  return cmdParts.join(" ");
+}
+
+/**
+ * Login với OAuth credentials
+ *
+ * OAuth login format: --auth-key=CLIENT_ID:CLIENT_SECRET
+ * Platform differences:
+ * - Linux: needs sudo, supports --ssh
+ * - Windows: no sudo, no --ssh
+ * - macOS: no sudo, no --ssh (usually)
+ *
+ * options.timings: collector (utils/timing) để đo `tailscale up` và thời gian chờ kết nối
+ * options.timeout: thời gian chờ kết nối (mặc định CONST.CONNECTION_TIMEOUT, --deadline có thể rút ngắn)
+ */
+async function login(clientId, clientSecret, tags, logger, config, options = {}) {
+  const { timings, timeout = CONST.CONNECTION_TIMEOUT } = options;
+
+  logger.info("Logging in to Tailscale with OAuth client...");
+
+  // Validate inputs
+  const authKey = config?.tailscaleAuthKey;
+  if ((!clientId || !clientSecret) && !authKey) {
+    throw new ProcessError("TAILSCALE_CLIENT_ID and TAILSCALE_CLIENT_SECRET (or TAILSCALE_AUTHKEY) are required");
+  }
+
+  const cmd = buildLoginCommand(clientId, clientSecret, tags, config);
 
   // Log command (with masked auth key)
-  const maskedCmd = cmd.replace(clientId, "***MASKED***").replace(clientSecret, "***MASKED***");
+  const maskedCmd = [clientId, clientSecret, authKey].filter(Boolean).reduce((acc, secret) => acc.split(secret).join("***MASKED***"), cmd);
   logger.debug(`Executing: ${maskedCmd}`);
 
   // Execute tailscale up
+  const endUp = timings?.start("tailscale up");
   try {
     process_adapter.run(cmd, {
       logger,
       ignoreError: false,
     });
+    endUp?.();
   } catch (err) {
+    endUp?.({ status: "failed" });
     // Provide helpful error messages
     let errorMsg = `Tailscale up failed: ${err.message}`;
 
@@ -207,6 +226,7 @@ async function login(clientId, clientSecret, tags, logger, config) {
   // Wait for Tailscale to be fully connected
   logger.info("Waiting for Tailscale connection...");
 
+  const endWait = timings?.start("tailscale login wait");
   const connected = await process_adapter.waitForCondition(
     () => {
       try {
@@ -216,9 +236,10 @@ async function login(clientId, clientSecret, tags, logger, config) {
         return false;
       }
     },
-    CONST.CONNECTION_TIMEOUT,
+    timeout,
     CONST.STATUS_CHECK_INTERVAL,
   );
+  endWait?.({ status: connected ? "ok" : "failed" });
 
   if (!connected) {
     // Get current status for debugging
@@ -226,7 +247,7 @@ async function login(clientId, clientSecret, tags, logger, config) {
     const backendState = status?.BackendState || "unknown";
 
     throw new ProcessError(
-      `Tailscale failed to connect after ${CONST.CONNECTION_TIMEOUT / 1000}s. ` +
+      `Tailscale failed to connect after ${Math.round(timeout / 1000)}s. ` +
         `Backend state: ${backendState}.\n` +
         `  → Check: (1) OAuth credentials valid, (2) Network accessible, (3) Tags authorized`,
     );
@@ -393,6 +414,7 @@ function getPeerInfo(hostnameOrIp, logger) {
 
 module.exports = {
   install,
+  buildLoginCommand,
   getStatus,
   isLoggedIn,
   getIP,
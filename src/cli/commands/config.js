@@ -0,0 +1,13 @@
+/**
+ * cli/commands/config.js
+ * Show resolved configuration and where each value came from
+ */
+
+const showConfigCore = require("../../core/show-config");
+
+async function run(config, logger) {
+  logger.info("Resolving configuration...");
+  return await showConfigCore.showConfig(config, logger);
+}
+
+module.exports = { run };
@@ -0,0 +1,13 @@
+/**
+ * cli/commands/doctor.js
+ * Preflight check cho mọi dependency bên ngoài
+ */
+
+const doctor = require("../../core/doctor");
+
+async function run(config, logger) {
+  logger.info("Running preflight checks...");
+  return await doctor.runDoctor(config, logger);
+}
+
+module.exports = { run };
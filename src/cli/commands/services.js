@@ -0,0 +1,14 @@
+/**
+ * cli/commands/services.js
+ * Start / stop / restart / list local services declared in the config file
+ */
+
+const localServices = require("../../core/local-services");
+
+async function run(config, logger, { args = [] } = {}) {
+  const [action = "list", ...names] = args;
+  logger.info(`Local services: ${action}${names.length ? ` ${names.join(", ")}` : ""}`);
+  return await localServices.manageLocalServices(config, logger, { action, names });
+}
+
+module.exports = { run };
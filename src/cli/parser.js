@@ -3,91 +3,313 @@
  * Parse command-line arguments
  */
 
+const { ValidationError } = require("../utils/errors");
+
+const DEFAULT_COMMAND = "sync";
+
+/**
+ * Flags dùng chung cho mọi command
+ */
+const GLOBAL_FLAGS = [
+  { flag: "--cwd", key: "cwd", value: true, description: "Set working directory (default: current dir)" },
+  { flag: "--config", key: "config", value: true, description: "Project config file (default: runner-sync.config.json or .runner-syncrc)" },
+  // Tên chính "--env-files": một số bản Node 20 tự bắt "--env-file" ở bất kỳ vị trí nào trong argv (alias vẫn được nhận)
+  { flag: "--env-files", alias: "--env-file", key: "envFile", value: true, description: "Extra env file(s), comma-separated (loaded after <cwd>/.env)" },
+  { flag: "--secrets-from-stdin", key: "secretsFromStdin", description: "Read TAILSCALE_* secrets as KEY=VALUE lines from stdin" },
+  { flag: "--profile", key: "profile", value: true, description: "Named profile from the config file (profiles.<name>)" },
+  { flag: "--verbose", alias: "-v", key: "verbose", description: "Enable verbose logging" },
+  { flag: "--quiet", alias: "-q", key: "quiet", description: "Suppress non-error output" },
+  { flag: "--json", key: "json", description: "Print JSON result document to stdout (logs go to stderr)" },
+  { flag: "--output", alias: "-o", key: "output", value: true, description: "Write JSON result document to file (relative to --cwd)" },
+  { flag: "--help", alias: "-h", key: "help", description: "Show this help" },
+  { flag: "--version", key: "version", description: "Show version" },
+];
+
+/**
+ * Định nghĩa các command và flags riêng của từng command
+ */
+const COMMANDS = {
+  sync: {
+    summary: "Run full workflow: init → detect → pull → stop → push (default)",
+    description: `  Tự động chạy workflow: init → detect → pull → stop → push
+  - Init: Cài đặt và kết nối Tailscale
+  - Detect: Tìm runner trước đó trên mạng
+  - Pull: Đồng bộ .runner-data (nếu có runner cũ)
+  - Stop: Dừng services trên runner cũ (nếu có)
+  - Push: Đẩy code lên git
+
+  Steps: setup_directories, connect_tailscale, detect_previous_runner,
+         pull_data, check_services_health (services[].health),
+         stop_remote_services, final_sync (--two-phase),
+         start_local_services (services[].command), push_to_git
+
+  Policy (--policy, lặp lại được): <step|*>:attempts=N,backoff=2s,timeout=5m,onError=fail|warn|skip-rest`,
+    flags: [
+      { flag: "--tags", key: "tags", value: true, description: "Tailscale tags (overrides TAILSCALE_TAGS)" },
+      { flag: "--branch", key: "branch", value: true, description: "Git branch to push (overrides GIT_BRANCH)" },
+      { flag: "--dry-run", key: "dryRun", description: "Print the execution plan and commands without changing anything" },
+      { flag: "--only", key: "only", value: true, description: "Run only these steps (comma-separated, deps included)" },
+      { flag: "--skip", key: "skip", value: true, description: "Skip these steps (comma-separated)" },
+      { flag: "--resume", key: "resume", description: "Skip steps completed by an interrupted run (reuses its peer)" },
+      { flag: "--policy", key: "policy", value: true, multiple: true, description: "Retry/timeout/onError policy for a step (repeatable)" },
+      { flag: "--simulate", key: "simulate", value: true, description: "Dry-run against recorded tailscale status / SSH fixtures from this directory" },
+      { flag: "--two-phase", key: "twoPhase", description: "Pre-copy while services run, stop them, then sync the final delta" },
+      { flag: "--deadline", key: "deadline", value: true, description: "Time budget for the whole run, e.g. 9m (push_to_git keeps a 1m reserve)" },
+      { flag: "--on-cancel", key: "onCancel", value: true, description: "Tailscale on SIGINT/SIGTERM: none (default), down or logout" },
+      { flag: "--no-lock", key: "noLock", description: "Do not take the local / remote run lock" },
+      { flag: "--lock-timeout", key: "lockTimeout", value: true, description: "Wait this long for a held run lock, e.g. 2m (0 = fail at once)" },
+      { flag: "--lock-stale-after", key: "lockStaleAfter", value: true, description: "Break run locks older than this, e.g. 30m" },
+    ],
+  },
+  init: {
+    summary: "Setup directories, connect Tailscale and detect previous runner",
+    description: `  Chạy phần đầu của workflow: setup → connect → detect
+  Dùng ở đầu job, trước khi start services.`,
+    flags: [
+      { flag: "--tags", key: "tags", value: true, description: "Tailscale tags (overrides TAILSCALE_TAGS)" },
+      { flag: "--dry-run", key: "dryRun", description: "Print the execution plan and commands without changing anything" },
+    ],
+  },
+  push: {
+    summary: "Commit and push .runner-data to git",
+    description: `  Commit và push .runner-data lên git repository.
+  Dùng ở cuối job, sau khi services đã ghi xong dữ liệu.`,
+    flags: [
+      { flag: "--branch", key: "branch", value: true, description: "Git branch to push (overrides GIT_BRANCH)" },
+      { flag: "--dry-run", key: "dryRun", description: "Print the execution plan and commands without changing anything" },
+    ],
+  },
+  status: {
+    summary: "Show Tailscale status, peers and .runner-data size",
+    description: `  Hiển thị trạng thái Tailscale, các peer cùng tag và dung lượng .runner-data.`,
+    flags: [{ flag: "--tags", key: "tags", value: true, description: "Tailscale tags (overrides TAILSCALE_TAGS)" }],
+  },
+  config: {
+    summary: "Print the resolved configuration and where each value came from",
+    description: `  In mọi setting hiệu lực, nguồn của nó (flag / env / .env / config / default)
+  và các đường dẫn dẫn xuất (runnerDataDir, logsDir, pidDir...). Secrets được mask.`,
+    flags: [
+      { flag: "--tags", key: "tags", value: true, description: "Tailscale tags (overrides TAILSCALE_TAGS)" },
+      { flag: "--branch", key: "branch", value: true, description: "Git branch to push (overrides GIT_BRANCH)" },
+    ],
+  },
+  services: {
+    summary: "Start, stop, restart or list the services declared in the config file",
+    // Positional arguments sau command (options.args)
+    args: "<start|stop|restart|list> [service...]",
+    description: `  Quản lý services khai báo trong config file (services[] có "command") trên runner này.
+  Mỗi service chạy detached, PID file trong .runner-data/pid/<name>.pid,
+  stdout/stderr ghi vào .runner-data/logs/<name>.log. Không chỉ định service = tất cả.`,
+    flags: [{ flag: "--dry-run", key: "dryRun", description: "Print what would be started / stopped without changing anything" }],
+  },
+  doctor: {
+    summary: "Check ssh, rsync, scp, git, tailscale, sudo and runner layout",
+    description: `  Kiểm tra trước mọi dependency bên ngoài và in bảng pass/warn/fail kèm cách khắc phục.
+  Exit code khác 0 khi có check fail - dùng để gate job trước khi chạy sync.`,
+    flags: [],
+  },
+};
+
+/**
+ * Lấy danh sách flags hợp lệ cho command
+ */
+function getFlags(command) {
+  return [...GLOBAL_FLAGS, ...(COMMANDS[command]?.flags || [])];
+}
+
 function parseArgs(argv) {
   const args = argv.slice(2);
 
+  // Command là positional argument đầu tiên (nếu có)
+  const hasCommand = args.length > 0 && !args[0].startsWith("-");
+  const command = hasCommand ? args.shift() : DEFAULT_COMMAND;
+
+  if (!COMMANDS[command]) {
+    throw new ValidationError(`Unknown command: ${command}\n  Available commands: ${Object.keys(COMMANDS).join(", ")}`);
+  }
+
   const options = {
     cwd: null,
     verbose: false,
     quiet: false,
     help: false,
     version: false,
+    json: false,
+    output: null,
   };
 
+  const flags = getFlags(command);
+
   for (let i = 0; i < args.length; i++) {
     const arg = args[i];
+    const spec = flags.find((f) => f.flag === arg || f.alias === arg);
 
-    if (arg === "--cwd" && i + 1 < args.length) {
-      options.cwd = args[++i];
+    if (!spec && COMMANDS[command].args && !arg.startsWith("-")) {
+      options.args = [...(options.args || []), arg];
       continue;
     }
 
-    if (arg === "--verbose" || arg === "-v") {
-      options.verbose = true;
-      continue;
-    }
-
-    if (arg === "--quiet" || arg === "-q") {
-      options.quiet = true;
-      continue;
+    if (!spec) {
+      throw new ValidationError(`Unknown option for '${command}': ${arg}\n  Run 'runner-sync ${command} --help' for usage`);
     }
 
-    if (arg === "--help" || arg === "-h") {
-      options.help = true;
+    if (spec.value) {
+      if (i + 1 >= args.length) {
+        throw new ValidationError(`Option ${spec.flag} requires a value`);
+      }
+      // Flag lặp lại được (multiple) gom thành array
+      options[spec.key] = spec.multiple ? [...(options[spec.key] || []), args[++i]] : args[++i];
       continue;
     }
 
-    if (arg === "--version") {
-      options.version = true;
-      continue;
-    }
+    options[spec.key] = true;
   }
 
-  return { options };
+  return { command, hasCommand, options };
 }
 
-function printHelp() {
+/**
+ * Format danh sách flags thành các dòng help
+ */
+function formatFlagLabel(f) {
+  return [f.flag, f.alias].filter(Boolean).join(", ") + (f.value ? " <value>" : "");
+}
+
+/**
+ * Độ rộng cột flag: tối thiểu 22, luôn chừa ít nhất 2 space trước description
+ */
+function getFlagColumnWidth(flags) {
+  return Math.max(22, ...flags.map((f) => formatFlagLabel(f).length + 2));
+}
+
+function formatFlags(flags, width = getFlagColumnWidth(flags)) {
+  return flags.map((f) => `  ${formatFlagLabel(f).padEnd(width)}${f.description}`).join("\n");
+}
+
+function printCommandHelp(command) {
+  const spec = COMMANDS[command];
+  const width = getFlagColumnWidth([...spec.flags, ...GLOBAL_FLAGS]);
+
   console.log(`
-runner-tailscale-sync - Đồng bộ runner data qua Tailscale network
+runner-sync ${command} - ${spec.summary}
 
 USAGE:
-  runner-sync [options]
+  runner-sync ${command}${spec.args ? ` ${spec.args}` : ""} [options]
 
 DESCRIPTION:
-  Tự động chạy workflow: init → detect → pull → stop → push
-  - Init: Cài đặt và kết nối Tailscale
-  - Detect: Tìm runner trước đó trên mạng
-  - Pull: Đồng bộ .runner-data (nếu có runner cũ)
-  - Stop: Dừng services trên runner cũ (nếu có)
-  - Push: Đẩy code lên git
+${spec.description}
 
 OPTIONS:
-  --cwd <path>    Set working directory (default: current dir)
-  --verbose       Enable verbose logging
-  --quiet         Suppress non-error output
-  --help, -h      Show this help
-  --version       Show version
+${formatFlags(spec.flags, width)}
+
+GLOBAL OPTIONS:
+${formatFlags(GLOBAL_FLAGS, width)}
+`);
+}
+
+function printHelp(command) {
+  if (command && COMMANDS[command]) {
+    printCommandHelp(command);
+    return;
+  }
+
+  const width = getFlagColumnWidth(GLOBAL_FLAGS);
+  const commandLines = Object.entries(COMMANDS)
+    .map(([name, spec]) => `  ${name.padEnd(width)}${spec.summary}`)
+    .join("\n");
+
+  console.log(`
+runner-tailscale-sync - Đồng bộ runner data qua Tailscale network
+
+USAGE:
+  runner-sync [command] [options]
+
+COMMANDS:
+${commandLines}
+
+DESCRIPTION:
+${COMMANDS[DEFAULT_COMMAND].description}
+
+GLOBAL OPTIONS:
+${formatFlags(GLOBAL_FLAGS, width)}
+
+CONFIGURATION:
+  Priority: CLI flags > environment (.env) > runner-sync.config.json / .runner-syncrc > defaults
+  .env is read from the resolved --cwd; --env-files are loaded after it (later files win),
+  but variables already set in the real environment are never overridden
+  TOOL_CWD set in an env file switches to that directory and also loads its .env (earlier values win)
+  --profile <name> merges profiles.<name> (and the profile it extends) over the file's top-level settings
 
 ENVIRONMENT VARIABLES:
   TAILSCALE_CLIENT_ID       OAuth client ID (required if TAILSCALE_ENABLE=1)
   TAILSCALE_CLIENT_SECRET   OAuth client secret (required if TAILSCALE_ENABLE=1)
+  TAILSCALE_AUTHKEY         Tailscale auth key (alternative to the OAuth client)
+  *_FILE                    Read the secret above from a file (e.g. TAILSCALE_CLIENT_SECRET_FILE)
   TAILSCALE_TAGS            Tailscale tags (default: tag:ci)
-  TAILSCALE_ENABLE          Enable Tailscale (0 or 1, default: 0)
+  TAILSCALE_ENABLE          Enable Tailscale (1/0, true/false, default: 0)
   SERVICES_TO_STOP          Services to stop on old runner (default: cloudflared,pocketbase)
-  GIT_PUSH_ENABLED          Enable git push (0 or 1, default: 1)
+  GIT_PUSH_ENABLED          Enable git push (1/0, true/false, default: 1)
   GIT_BRANCH                Git branch (default: main)
-  TOOL_CWD                  Working directory (can be overridden by --cwd)
+  TOOL_CWD                  Working directory (can be overridden by --cwd; also allowed in .env)
+  RUNNER_SYNC_CONFIG        Project config file path (same as --config)
+  RUNNER_SYNC_ENV_FILE      Extra env file(s) (same as --env-files)
+  RUNNER_SYNC_PROFILE       Named config profile (same as --profile)
+  RUNNER_SYNC_DRY_RUN       Dry-run mode (1/0, true/false, same as --dry-run)
+  RUNNER_SYNC_ONLY          Steps to run (same as --only)
+  RUNNER_SYNC_SKIP          Steps to skip (same as --skip)
+  RUNNER_SYNC_RESUME        Resume an interrupted run (1/0, true/false, same as --resume)
+  RUNNER_SYNC_POLICY        Step policies, ';'-separated (same as --policy)
+  RUNNER_SYNC_SIMULATE      Simulation fixture directory (same as --simulate)
+  RUNNER_SYNC_TWO_PHASE     Two-phase handoff (1/0, true/false, same as --two-phase)
+  RUNNER_SYNC_DEADLINE      Time budget for the whole run (same as --deadline)
+  RUNNER_SYNC_ON_CANCEL     Tailscale on SIGINT/SIGTERM: none, down, logout (same as --on-cancel)
+  RUNNER_SYNC_LOCK          Take the run lock (1/0, true/false, default: 1; 0 = --no-lock)
+  RUNNER_SYNC_LOCK_TIMEOUT  Wait for a held run lock (same as --lock-timeout, default: 2m)
+  RUNNER_SYNC_LOCK_STALE_AFTER  Break older run locks (same as --lock-stale-after, default: 30m)
 
 EXAMPLES:
   # Run full workflow
   TAILSCALE_ENABLE=1 runner-sync
 
+  # Split workflow: init at job start, push at job end
+  runner-sync init
+  runner-sync push --branch main
+
+  # Preview plan and commands without touching anything
+  TAILSCALE_ENABLE=1 runner-sync --dry-run
+
+  # Why did it pick that runner? Replay a captured status dump
+  runner-sync --simulate ./incident-fixtures --tags ci --verbose
+
+  # Pull data without stopping services on the old runner
+  runner-sync --skip stop_remote_services,push_to_git
+
+  # Machine-readable result for later workflow steps
+  runner-sync --output .runner-data/tmp/sync-result.json
+  runner-sync status --json > status.json
+
   # Verbose mode
-  runner-sync --verbose
+  runner-sync status --verbose
 
   # Custom working directory
   runner-sync --cwd /path/to/project
 
+  # Azure Pipelines chain in a repo that also runs GitHub Actions
+  runner-sync --profile azure-prod
+
+  # Where did this value come from?
+  runner-sync config --json
+
+  # Services from the config file (started by sync after data is restored)
+  runner-sync services list
+  runner-sync services restart pocketbase
+
+  # Preflight check (exit != 0 if something is missing)
+  runner-sync doctor
+
+  # Command help
+  runner-sync push --help
+
 For more info: https://github.com/yourname/runner-tailscale-sync
 `);
 }
@@ -95,4 +317,6 @@ For more info: https://github.com/yourname/runner-tailscale-sync
 module.exports = {
   parseArgs,
   printHelp,
+  COMMANDS,
+  DEFAULT_COMMAND,
 };
@@ -3,9 +3,10 @@
  * Pull/Push .runner-data directory giữa các runners
  */
 const path = require("path");
-const fs_adapter = require("../adapters/fs");
-const process_adapter = require("../adapters/process");
+const { createAdapterContext } = require("../adapters/context");
 const { SyncError, ValidationError } = require("../utils/errors");
+const { EVENTS, emit } = require("./sync-events");
+const shutdown = require("./shutdown");
 const CONST = require("../utils/constants");
 
 /**
@@ -42,10 +43,29 @@ async function checkRemoteDir(remoteHost, remoteDir, sshPath, logger) {
 }
 */
 
+/**
+ * Tên pass trong two-phase handoff (xem config.twoPhase): full = một pass duy nhất
+ */
+const PHASES = {
+  FULL: "full",
+  PRE_COPY: "pre-copy",
+  FINAL: "final",
+};
+
+const PHASE_LABELS = {
+  [PHASES.FULL]: "rsync",
+  [PHASES.PRE_COPY]: "rsync (pre-copy)",
+  [PHASES.FINAL]: "rsync (final delta)",
+};
+
 /**
  * Parse input
+ * options.timings: collector (utils/timing) để đo rsync / scp fallback
+ * options.events: emitter của sync session (pull:start / pull:progress / pull:complete)
+ * options.adapters: adapter overrides (xem adapters/context.js)
+ * options.phase: PHASES.* (mặc định full)
  */
-function parseInput(config, previousRunner, logger) {
+function parseInput(config, previousRunner, logger, options = {}) {
   const remoteHostRaw = previousRunner?.ips?.[0];
 
   // Ưu tiên dùng metadata nếu có
@@ -73,6 +93,10 @@ function parseInput(config, previousRunner, logger) {
     remoteUser: remoteUser,
     rsyncPath: config.rsyncPath,
     sshPath: config.sshPath,
+    phase: options.phase || PHASES.FULL,
+    timings: options.timings || null,
+    events: options.events || null,
+    adapters: createAdapterContext(options.adapters),
     logger,
   };
 }
@@ -93,12 +117,170 @@ function validate(input) {
   }
 }
 
+/**
+ * Build rsync command
+ */
+function buildRsyncCommand(planResult) {
+  const isLocalNetwork = planResult.remoteHostRaw?.startsWith("100.");
+  return [
+    planResult.rsyncPath,
+    isLocalNetwork ? "-av" : "-avz",
+    "--delete",
+    "--partial",
+    "--progress",
+    "--stats", // Dung lượng thực sự transfer (delta giữa các pass) - xem parseRsyncStats
+    "--ignore-missing-args", // 👈 Quan trọng: không fail nếu source không tồn tại
+    // Journal, partial-sync marker, run lock và PID file của local services: thuộc về runner hiện tại,
+    // không nhận từ runner cũ, không bị --delete xóa
+    ...CONST.RUNNER_LOCAL_PATHS.map((localPath) => `--exclude=/${localPath}`),
+    "-e",
+    `${planResult.sshPath} -o StrictHostKeyChecking=no -o LogLevel=ERROR`,
+    planResult.source,
+    planResult.destination,
+  ];
+}
+
+const RUNNER_LOCAL_PATTERNS = CONST.RUNNER_LOCAL_PATHS.map(
+  (localPath) => new RegExp(`^${localPath.split("*").map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join("[^/]*")}(/|$)`),
+);
+
+/**
+ * Path (tương đối so với .runner-data) là trạng thái riêng của runner hiện tại (CONST.RUNNER_LOCAL_PATHS)
+ */
+function isRunnerLocalPath(relativePath) {
+  return RUNNER_LOCAL_PATTERNS.some((pattern) => pattern.test(relativePath));
+}
+
+/**
+ * Dung lượng data đã sync (không tính trạng thái riêng của runner hiện tại)
+ */
+function getSyncedSize(dataDir, fs_adapter) {
+  return fs_adapter.getDirSize(dataDir, { exclude: isRunnerLocalPath });
+}
+
+function getPartialMarkerPath(dataDir) {
+  return path.join(dataDir, CONST.TMP_DIR, CONST.PARTIAL_SYNC_FILE);
+}
+
+/**
+ * Marker của lần pull chưa xong (bị cancel / lỗi giữa chừng), null nếu data đầy đủ
+ * Khi còn marker: push bị từ chối và runner khác không chọn runner này làm previous runner
+ */
+function getPartialSyncMarker(config, adapters = createAdapterContext()) {
+  const markerPath = getPartialMarkerPath(config.runnerDataDir);
+  if (!adapters.fs.exists(markerPath)) return null;
+
+  try {
+    return { path: markerPath, ...adapters.fs.readJson(markerPath) };
+  } catch {
+    // Marker ghi dở vẫn là marker
+    return { path: markerPath };
+  }
+}
+
+/**
+ * Build scp command (fallback khi rsync fail)
+ * scp không có --exclude: chép vào staging (planResult.scpStaging), sau đó mới chuyển vào destination (moveScpStaging)
+ */
+function buildScpCommand(planResult) {
+  // scp -r -o StrictHostKeyChecking=no root@remote:/path/to/.runner-data/* /local/path/tmp/scp-staging
+  const scpPath = planResult.sshPath.replace(/ssh$/, "scp");
+  const remotePath = `${planResult.remoteHost}:${planResult.remoteDataDir}/*`;
+
+  return [scpPath, "-r", "-o", "StrictHostKeyChecking=no", "-o", "LogLevel=ERROR", remotePath, planResult.scpStaging];
+}
+
+/**
+ * Chuyển bản scp từ staging vào destination, trừ trạng thái riêng của runner cũ (journal, lock, PID file...)
+ */
+function moveScpStaging(planResult, fs_adapter) {
+  fs_adapter.moveInto(planResult.scpStaging, planResult.destination, { exclude: isRunnerLocalPath });
+  fs_adapter.remove(planResult.scpStaging);
+}
+
+// Dòng progress của rsync --progress:
+//   "  1,234,567  45%  12.34MB/s  0:00:03 (xfr#3, to-chk=12/20)"
+const RSYNC_PROGRESS_PATTERN = /^\s*([\d,.]+)\s+(\d+)%\s+(\S+\/s)\s+(\d+:\d{2}:\d{2})(?:\s+\(xfr#(\d+),\s+(?:to|ir)-chk=(\d+)\/(\d+)\))?/;
+
+/**
+ * Parse một dòng progress của rsync, null nếu không phải dòng progress
+ * (dòng còn lại là tên file đang transfer)
+ */
+function parseRsyncProgress(line) {
+  const match = String(line).match(RSYNC_PROGRESS_PATTERN);
+  if (!match) return null;
+
+  return {
+    bytes: Number(match[1].replace(/[,.]/g, "")),
+    percent: Number(match[2]),
+    rate: match[3],
+    eta: match[4],
+    filesTransferred: match[5] !== undefined ? Number(match[5]) : null,
+    filesRemaining: match[6] !== undefined ? Number(match[6]) : null,
+    filesTotal: match[7] !== undefined ? Number(match[7]) : null,
+  };
+}
+
+/**
+ * Parse phần --stats cuối output rsync
+ * "Number of regular files transferred" (rsync >= 3.1) / "Number of files transferred" (cũ hơn)
+ *
+ * @returns {{ filesTransferred, filesDeleted, transferredBytes }|null} null nếu không có stats
+ */
+function parseRsyncStats(output) {
+  const read = (pattern) => {
+    const match = String(output || "").match(pattern);
+    return match ? Number(match[1].replace(/[,.]/g, "")) : null;
+  };
+
+  const transferredBytes = read(/Total transferred file size:\s*([\d,.]+)/);
+  if (transferredBytes === null) return null;
+
+  return {
+    filesTransferred: read(/Number of (?:regular )?files transferred:\s*([\d,.]+)/) || 0,
+    filesDeleted: read(/Number of deleted files:\s*([\d,.]+)/) || 0,
+    transferredBytes,
+  };
+}
+
+/**
+ * Handler cho stdout của rsync: tách dòng (rsync cập nhật progress bằng \r) và phát pull:progress
+ */
+function createProgressHandler(events, logger) {
+  let buffer = "";
+  let currentFile = null;
+
+  return (chunk) => {
+    buffer += chunk;
+    const lines = buffer.split(/[\r\n]/);
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      if (!line.trim()) continue;
+
+      const progress = parseRsyncProgress(line);
+      if (!progress) {
+        currentFile = line.trim();
+        continue;
+      }
+
+      // Listener lỗi không được làm hỏng rsync đang chạy
+      try {
+        emit(events, EVENTS.PULL_PROGRESS, { method: "rsync", file: currentFile, ...progress });
+      } catch (err) {
+        logger.debug(`pull:progress listener failed: ${err.message}`);
+      }
+    }
+  };
+}
+
 /**
  * Plan
  */
 function plan(input) {
-  return {
+  const planResult = {
     action: "rsync_pull",
+    phase: input.phase,
     source: `${input.remoteHost}:${input.remoteDataDir}/`,
     destination: input.localDataDir,
     remoteHost: input.remoteHost,
@@ -106,15 +288,25 @@ function plan(input) {
     remoteDataDir: input.remoteDataDir,
     rsyncPath: input.rsyncPath,
     sshPath: input.sshPath,
+    scpStaging: path.join(input.localDataDir, CONST.TMP_DIR, CONST.SCP_STAGING_DIR),
   };
+
+  planResult.rsyncCmd = buildRsyncCommand(planResult);
+  planResult.scpCmd = buildScpCommand(planResult);
+
+  return planResult;
 }
 
 /**
  * Execute - pull data từ remote runner
  */
 async function execute(planResult, input) {
-  const { logger } = input;
-  logger.info(`Syncing data from ${planResult.source}...`);
+  const { logger, timings, events, adapters } = input;
+  const { fs: fs_adapter, process: process_adapter } = adapters;
+  const { phase } = planResult;
+  const startedAt = Date.now();
+  logger.info(`Syncing data from ${planResult.source}${phase === PHASES.FULL ? "" : ` (${phase})`}...`);
+  emit(events, EVENTS.PULL_START, { source: planResult.source, destination: planResult.destination, method: "rsync", phase });
 
   // APPROACH V2: Skip precheck, rsync sẽ tự báo lỗi nếu dir không tồn tại
   // Lý do: SSH check có vấn đề với output capture trong một số môi trường
@@ -123,84 +315,143 @@ async function execute(planResult, input) {
   // Ensure local directory exists
   fs_adapter.ensureDir(planResult.destination);
 
-  // Build rsync command
-  const isLocalNetwork = planResult.remoteHostRaw?.startsWith("100.");
-  const rsyncCmd = [
-    planResult.rsyncPath,
-    isLocalNetwork ? "-av" : "-avz",
-    "--delete",
-    "--partial",
-    "--progress",
-    "--ignore-missing-args", // 👈 Quan trọng: không fail nếu source không tồn tại
-    "-e",
-    `${planResult.sshPath} -o StrictHostKeyChecking=no -o LogLevel=ERROR`,
-    planResult.source,
-    planResult.destination,
-  ];
+  // Đánh dấu data đang pull dở - chỉ xóa khi pull xong (cancel / lỗi giữa chừng để lại marker)
+  const markerPath = getPartialMarkerPath(planResult.destination);
+  fs_adapter.ensureDir(path.dirname(markerPath));
+  fs_adapter.writeJson(markerPath, { source: planResult.source, phase, pid: process.pid, startedAt: new Date().toISOString() });
 
+  const endRsync = timings?.start(PHASE_LABELS[phase]);
+  // Giữ phần cuối stdout để đọc --stats
+  let outputTail = "";
+  const onProgress = events ? createProgressHandler(events, logger) : null;
   try {
-    await process_adapter.runWithTimeout(rsyncCmd, CONST.RSYNC_TIMEOUT, { logger });
+    await process_adapter.runWithTimeout(planResult.rsyncCmd, CONST.RSYNC_TIMEOUT, {
+      logger,
+      onOutput: (chunk) => {
+        outputTail = (outputTail + chunk).slice(-CONST.RSYNC_STATS_TAIL);
+        onProgress?.(chunk);
+      },
+    });
     logger.success("Data synced successfully");
 
+    fs_adapter.remove(markerPath);
+
     // Get synced size
-    const size = fs_adapter.getDirSize(planResult.destination);
+    const size = getSyncedSize(planResult.destination, fs_adapter);
+    const stats = parseRsyncStats(outputTail);
+    endRsync?.({ bytes: stats ? stats.transferredBytes : size });
 
     if (size === 0) {
       logger.info("No data was synced (empty or missing source directory)");
       return {
         success: true,
         size: 0,
+        phase,
         skipped: true,
       };
     }
 
     logger.info(`Synced size: ${fs_adapter.formatBytes(size)}`);
+    if (stats) {
+      logger.info(
+        `Transferred: ${fs_adapter.formatBytes(stats.transferredBytes)} in ${stats.filesTransferred} file(s), ${stats.filesDeleted} deleted`,
+      );
+    }
 
     return {
       success: true,
       size,
+      method: "rsync",
+      phase,
+      ...stats,
+      durationMs: Date.now() - startedAt,
     };
   } catch (err) {
+    endRsync?.({ status: "failed" });
+
     // Check nếu lỗi do source không tồn tại
     if (err.message.includes("No such file") || err.message.includes("does not exist")) {
       logger.warn(`Remote directory does not exist or is empty`);
       logger.info("Skipping data sync - no data to pull");
+      fs_adapter.remove(markerPath);
       return {
         success: true,
         size: 0,
+        phase,
         skipped: true,
       };
     }
 
+    // Rsync bị dừng bởi shutdown (SIGINT / SIGTERM): không fallback - marker giữ lại đánh dấu data dở dang
+    shutdown.assertNotShuttingDown("scp fallback");
+
     // If rsync not available, try scp as fallback
     logger.warn("Rsync failed, trying scp as fallback...");
+    emit(events, EVENTS.PULL_FALLBACK, { method: "scp", error: err.message, phase });
+    const endScp = timings?.start(phase === PHASES.FULL ? "scp fallback" : `scp fallback (${phase})`);
     try {
-      // scp -r -o StrictHostKeyChecking=no root@remote:/path/to/.runner-data/* /local/path/
-      const scpPath = planResult.sshPath.replace(/ssh$/, "scp");
-      const remotePath = `${planResult.remoteHost}:${planResult.remoteDataDir}/*`;
-
-      const scpCmd = [scpPath, "-r", "-o", "StrictHostKeyChecking=no", "-o", "LogLevel=ERROR", remotePath, planResult.destination];
-
-      await process_adapter.runWithTimeout(scpCmd, CONST.RSYNC_TIMEOUT, { logger });
+      fs_adapter.remove(planResult.scpStaging);
+      fs_adapter.ensureDir(planResult.scpStaging);
+      await process_adapter.runWithTimeout(planResult.scpCmd, CONST.RSYNC_TIMEOUT, { logger });
+      moveScpStaging(planResult, fs_adapter);
 
       logger.success("Data synced via scp");
-      const size = fs_adapter.getDirSize(planResult.destination);
+      fs_adapter.remove(markerPath);
+      const size = getSyncedSize(planResult.destination, fs_adapter);
+      endScp?.({ bytes: size });
 
+      // scp chép lại toàn bộ: transferred = cả thư mục
       return {
         success: true,
         size,
+        method: "scp",
+        phase,
+        transferredBytes: size,
+        durationMs: Date.now() - startedAt,
       };
     } catch (scpErr) {
+      endScp?.({ status: "failed" });
       throw new SyncError(`Failed to sync data: ${scpErr.message}`);
     }
   }
 }
 
+/**
+ * Dry-run - chỉ in ra các lệnh sẽ chạy, không đụng vào filesystem
+ */
+function reportDryRun(planResult, input) {
+  const { logger, adapters } = input;
+  const { process: process_adapter } = adapters;
+
+  const commands = [process_adapter.formatCommand(planResult.rsyncCmd), process_adapter.formatCommand(planResult.scpCmd)];
+
+  logger.info(`[dry-run] Would pull ${planResult.source} → ${planResult.destination}${planResult.phase === PHASES.FULL ? "" : ` (${planResult.phase})`}`);
+  logger.info(`[dry-run]   rsync: ${commands[0]}`);
+  logger.info(`[dry-run]   scp fallback: ${commands[1]}`);
+
+  return {
+    success: true,
+    dryRun: true,
+    phase: planResult.phase,
+    syncedSize: 0,
+    commands,
+  };
+}
+
+/**
+ * Tốc độ pull (bytes/s) theo dung lượng thực sự transfer (rsync --stats, scp: cả thư mục) - không dùng synced size
+ * vì rsync chỉ gửi delta; 0 khi rsync không có stats
+ */
+function getTransferRate(result) {
+  const bytes = result.transferredBytes ?? (result.method === "scp" ? result.size : null);
+  return bytes > 0 && result.durationMs > 0 ? Math.round(bytes / (result.durationMs / 1000)) : 0;
+}
+
 /**
  * Report
  */
 function report(result, input) {
-  const { logger } = input;
+  const { logger, events } = input;
 
   if (result.success) {
     if (result.skipped) {
@@ -208,10 +459,28 @@ function report(result, input) {
     } else {
       logger.success("Data synchronization completed");
     }
-    return {
+    const summary = {
       success: true,
       syncedSize: result.size,
+      method: result.method || null,
+      phase: result.phase,
+      // Dung lượng rsync thực sự transfer ở pass này (từ --stats), null nếu không có stats
+      transferredBytes: result.transferredBytes ?? null,
+      filesTransferred: result.filesTransferred ?? null,
+      filesDeleted: result.filesDeleted ?? null,
+      durationMs: result.durationMs || 0,
+      bytesPerSec: getTransferRate(result),
     };
+    emit(events, EVENTS.PULL_COMPLETE, {
+      method: summary.method,
+      phase: summary.phase,
+      transferredBytes: summary.transferredBytes,
+      bytes: summary.syncedSize,
+      durationMs: summary.durationMs,
+      bytesPerSec: summary.bytesPerSec,
+      skipped: Boolean(result.skipped),
+    });
+    return summary;
   } else {
     logger.error("Data synchronization failed");
     return {
@@ -223,14 +492,14 @@ function report(result, input) {
 /**
  * Main pull function
  */
-async function pullData(config, previousRunner, logger) {
+async function pullData(config, previousRunner, logger, options = {}) {
   if (!previousRunner) {
     logger.info("No previous runner - skipping data pull");
     return { success: true, syncedSize: 0 };
   }
 
   // Step 1: Parse Input
-  const input = parseInput(config, previousRunner, logger);
+  const input = parseInput(config, previousRunner, logger, options);
 
   // Step 2: Validate
   validate(input);
@@ -238,6 +507,10 @@ async function pullData(config, previousRunner, logger) {
   // Step 3: Plan
   const planResult = plan(input);
 
+  if (config.dryRun) {
+    return reportDryRun(planResult, input);
+  }
+
   // Step 4: Execute
   const execResult = await execute(planResult, input);
 
@@ -252,5 +525,12 @@ module.exports = {
   plan,
   execute,
   report,
+  reportDryRun,
+  buildRsyncCommand,
+  buildScpCommand,
+  parseRsyncProgress,
+  parseRsyncStats,
+  getPartialSyncMarker,
+  PHASES,
   // checkRemoteDir, // Disabled - see comment in function
 };
@@ -0,0 +1,291 @@
+/**
+ * core/doctor.js
+ * Preflight check: kiểm tra mọi dependency bên ngoài trước khi chạy workflow
+ */
+
+const path = require("path");
+const git = require("../adapters/git");
+const fs_adapter = require("../adapters/fs");
+const process_adapter = require("../adapters/process");
+const CONST = require("../utils/constants");
+
+const STATUS_PASS = "pass";
+const STATUS_WARN = "warn";
+const STATUS_FAIL = "fail";
+
+/**
+ * Parse input
+ */
+function parseInput(config, logger) {
+  return {
+    config,
+    tailscaleEnable: config.tailscaleEnable,
+    gitEnabled: config.gitEnabled,
+    isLinux: config.isLinux,
+    cwd: config.cwd,
+    sshPath: config.sshPath,
+    rsyncPath: config.rsyncPath,
+    metadataDir: path.dirname(CONST.METADATA_FILE),
+    logger,
+  };
+}
+
+/**
+ * Validate
+ */
+function validate() {
+  return [];
+}
+
+/**
+ * Plan - danh sách các check sẽ chạy
+ */
+function plan(input) {
+  const checks = ["config", "ssh", "rsync", "scp", "git", "tailscale"];
+
+  if (input.isLinux) {
+    checks.push("sudo");
+  }
+
+  checks.push("metadata_dir", "git_repo", "git_identity", "git_remote", "runner_data_layout");
+
+  return {
+    action: "doctor",
+    checks,
+  };
+}
+
+function result(name, status, detail, remediation = null) {
+  return { name, status, detail, remediation };
+}
+
+/**
+ * Check một binary, mức độ nghiêm trọng tùy vào việc có bắt buộc hay không
+ */
+function checkBinary(name, command, required, remediation) {
+  if (process_adapter.commandExists(command)) {
+    return result(name, STATUS_PASS, `${command} found`);
+  }
+  return result(name, required ? STATUS_FAIL : STATUS_WARN, `${command} not found in PATH`, remediation);
+}
+
+/**
+ * Các check riêng lẻ
+ */
+const CHECKS = {
+  config(input) {
+    const errors = input.config.validate();
+    if (errors.length === 0) {
+      return result("config", STATUS_PASS, "Configuration is valid");
+    }
+    return result("config", STATUS_FAIL, errors.join("; "), "Set the missing environment variables (see .env.example)");
+  },
+
+  ssh(input) {
+    return checkBinary(
+      "ssh",
+      input.sshPath,
+      input.tailscaleEnable,
+      "Install OpenSSH client (apt-get install openssh-client) or set SSH_PATH",
+    );
+  },
+
+  rsync(input) {
+    // Thiếu rsync vẫn chạy được nhờ fallback scp
+    return checkBinary("rsync", input.rsyncPath, false, "Install rsync (apt-get install rsync) or set RSYNC_PATH; scp will be used as fallback");
+  },
+
+  scp(input) {
+    const scpPath = input.sshPath.replace(/ssh$/, "scp");
+    const hasRsync = process_adapter.commandExists(input.rsyncPath);
+    return checkBinary("scp", scpPath, input.tailscaleEnable && !hasRsync, "Install OpenSSH client (provides scp)");
+  },
+
+  git(input) {
+    return checkBinary("git", "git", input.gitEnabled, "Install git or set GIT_PUSH_ENABLED=0");
+  },
+
+  tailscale(input) {
+    if (process_adapter.commandExists("tailscale")) {
+      return result("tailscale", STATUS_PASS, "tailscale found");
+    }
+    if (!input.tailscaleEnable) {
+      return result("tailscale", STATUS_WARN, "tailscale not found (TAILSCALE_ENABLE=0)", "Install Tailscale before enabling TAILSCALE_ENABLE=1");
+    }
+    if (input.isLinux) {
+      // Linux sẽ tự cài qua install script
+      return result(
+        "tailscale",
+        STATUS_WARN,
+        "tailscale not found - will be installed via https://tailscale.com/install.sh",
+        "Pre-install Tailscale to avoid downloading the install script at runtime",
+      );
+    }
+    return result("tailscale", STATUS_FAIL, "tailscale not found and cannot be auto-installed on this OS", "Install from https://tailscale.com/download");
+  },
+
+  sudo(input) {
+    if (!process_adapter.commandExists("sudo")) {
+      return result(
+        "sudo",
+        input.tailscaleEnable ? STATUS_FAIL : STATUS_WARN,
+        "sudo not found",
+        "Install sudo; it is required for 'tailscale up' and stopping services",
+      );
+    }
+    if (process_adapter.runCapture("sudo -n true") === null) {
+      return result("sudo", STATUS_WARN, "sudo requires a password", "Allow passwordless sudo for the runner user (NOPASSWD)");
+    }
+    return result("sudo", STATUS_PASS, "passwordless sudo available");
+  },
+
+  metadata_dir(input) {
+    if (fs_adapter.isWritable(input.metadataDir)) {
+      return result("metadata_dir", STATUS_PASS, `${input.metadataDir} is writable`);
+    }
+    return result(
+      "metadata_dir",
+      STATUS_FAIL,
+      `${input.metadataDir} is not writable - ${CONST.METADATA_FILE} cannot be written`,
+      `Make ${input.metadataDir} writable: sudo chmod 1777 ${input.metadataDir}`,
+    );
+  },
+
+  git_repo(input) {
+    if (git.isAvailable() && git.isGitRepo(input.cwd)) {
+      return result("git_repo", STATUS_PASS, `${input.cwd} is a git repository`);
+    }
+    return result(
+      "git_repo",
+      input.gitEnabled ? STATUS_FAIL : STATUS_WARN,
+      `${input.cwd} is not a git repository`,
+      "Run inside the checked-out repository (or use --cwd), or set GIT_PUSH_ENABLED=0",
+    );
+  },
+
+  git_identity(input) {
+    if (!git.isAvailable() || !git.isGitRepo(input.cwd)) {
+      return result("git_identity", STATUS_WARN, "Skipped - not a git repository");
+    }
+    const identity = git.getIdentity(input.cwd);
+    if (identity.name && identity.email) {
+      return result("git_identity", STATUS_PASS, `${identity.name} <${identity.email}>`);
+    }
+    return result(
+      "git_identity",
+      STATUS_WARN,
+      "user.name/user.email not set - 'Automation Bot' will be used",
+      'git config user.name "..." && git config user.email "..."',
+    );
+  },
+
+  git_remote(input) {
+    if (!git.isAvailable() || !git.isGitRepo(input.cwd)) {
+      return result("git_remote", input.gitEnabled ? STATUS_FAIL : STATUS_WARN, "Skipped - not a git repository");
+    }
+    const url = git.getRemoteUrl("origin", input.cwd);
+    if (url) {
+      return result("git_remote", STATUS_PASS, `origin → ${url}`);
+    }
+    return result(
+      "git_remote",
+      input.gitEnabled ? STATUS_FAIL : STATUS_WARN,
+      "Remote 'origin' is not configured",
+      "git remote add origin <url> (and use persist-credentials: true on actions/checkout)",
+    );
+  },
+
+  runner_data_layout(input) {
+    const missing = input.config.getDirectoriesToEnsure().filter((dir) => !fs_adapter.exists(dir));
+    if (missing.length === 0) {
+      return result("runner_data_layout", STATUS_PASS, `${input.config.runnerDataDir} layout is complete`);
+    }
+    return result(
+      "runner_data_layout",
+      STATUS_WARN,
+      `Missing: ${missing.map((dir) => path.relative(input.cwd, dir)).join(", ")}`,
+      "Run 'runner-sync init' (setup_directories creates them)",
+    );
+  },
+};
+
+/**
+ * Execute - chạy từng check, lỗi bất ngờ được tính là fail
+ */
+async function execute(planResult, input) {
+  const checks = planResult.checks.map((name) => {
+    try {
+      return CHECKS[name](input);
+    } catch (err) {
+      return result(name, STATUS_FAIL, `Check crashed: ${err.message}`);
+    }
+  });
+
+  return { checks };
+}
+
+/**
+ * Report - in bảng pass/warn/fail kèm cách khắc phục
+ */
+function report(execResult, input) {
+  const { logger } = input;
+  const { checks } = execResult;
+
+  const summary = {
+    pass: checks.filter((c) => c.status === STATUS_PASS).length,
+    warn: checks.filter((c) => c.status === STATUS_WARN).length,
+    fail: checks.filter((c) => c.status === STATUS_FAIL).length,
+  };
+
+  const nameWidth = Math.max(...checks.map((c) => c.name.length));
+
+  logger.info("━━━ Doctor ━━━");
+  for (const check of checks) {
+    const line = `${check.status.toUpperCase().padEnd(4)} ${check.name.padEnd(nameWidth)}  ${check.detail}`;
+    if (check.status === STATUS_FAIL) {
+      logger.error(line);
+    } else if (check.status === STATUS_WARN) {
+      logger.warn(line);
+    } else {
+      logger.success(line);
+    }
+    if (check.remediation && check.status !== STATUS_PASS) {
+      logger.info(`     ${"".padEnd(nameWidth)}  → ${check.remediation}`);
+    }
+  }
+
+  logger.info(`Result: ${summary.pass} passed, ${summary.warn} warning(s), ${summary.fail} failed`);
+
+  if (summary.fail > 0) {
+    logger.error("Doctor found blocking problems");
+  } else {
+    logger.success("All required dependencies are available");
+  }
+
+  return {
+    success: summary.fail === 0,
+    checks,
+    summary,
+  };
+}
+
+/**
+ * Main doctor function
+ */
+async function runDoctor(config, logger) {
+  const input = parseInput(config, logger);
+  validate(input);
+  const planResult = plan(input);
+  const execResult = await execute(planResult, input);
+  return report(execResult, input);
+}
+
+module.exports = {
+  runDoctor,
+  parseInput,
+  validate,
+  plan,
+  execute,
+  report,
+  CHECKS,
+};
@@ -0,0 +1,205 @@
+/**
+ * core/health-check.js
+ * HTTP health check của services trên runner hiện tại (services[].health)
+ *
+ * - Poll health URL (adapters.http.fetchWithTimeout) tới khi trả status mong đợi (mặc định 2xx) hoặc hết health.timeout
+ * - `{tailscaleIp}` trong URL được thay bằng Tailscale IP của runner này - kiểm tra qua tailnet thay vì localhost
+ * - Dùng làm gate "runner mới đã phục vụ" trước stop_remote_services (step check_services_health)
+ *   và sau khi start local service (start_local_services / runner-sync services start)
+ */
+
+const { createAdapterContext } = require("../adapters/context");
+const { ValidationError, NetworkError } = require("../utils/errors");
+const { EVENTS, emit } = require("./sync-events");
+const { formatDuration } = require("../utils/time");
+const CONST = require("../utils/constants");
+
+const TAILSCALE_IP_PLACEHOLDER = "{tailscaleIp}";
+
+/**
+ * URL thực tế của health check
+ *
+ * @returns {string|null} null khi URL cần Tailscale IP nhưng runner chưa có
+ */
+function resolveHealthUrl(url, adapters, logger) {
+  if (!url.includes(TAILSCALE_IP_PLACEHOLDER)) return url;
+
+  const ip = adapters.tailscale.getIP(logger);
+  return ip ? url.split(TAILSCALE_IP_PLACEHOLDER).join(ip) : null;
+}
+
+/**
+ * Một lần gọi health URL
+ *
+ * @returns {Promise<{ healthy, statusCode, error }>}
+ */
+async function probeHealth(health, url, adapters) {
+  try {
+    const response = await adapters.http.fetchWithTimeout(url, { timeoutMs: CONST.HEALTH_REQUEST_TIMEOUT });
+    // Không đọc body - chỉ cần status
+    await response.body?.cancel().catch(() => {});
+    const healthy = health.status != null ? response.status === health.status : response.status >= 200 && response.status < 300;
+    return { healthy, statusCode: response.status, error: healthy ? null : `HTTP ${response.status}` };
+  } catch (err) {
+    return { healthy: false, statusCode: null, error: err.message };
+  }
+}
+
+/**
+ * Chờ một service healthy (tối đa health.timeout, bị giới hạn bởi --deadline qua budget)
+ *
+ * @returns {Promise<{ name, url, healthy, statusCode, attempts, durationMs, error }>}
+ */
+async function waitForHealthy(service, input) {
+  const { logger, adapters, budget } = input;
+  const { health } = service;
+  const startedAt = Date.now();
+  const timeout = budget ? budget.clamp(health.timeout) : health.timeout;
+  const deadline = startedAt + timeout;
+  const entry = (result, attempts) => ({ name: service.name, url: service.url, ...result, attempts, durationMs: Date.now() - startedAt });
+
+  if (!service.url) {
+    return entry({ healthy: false, statusCode: null, error: "no Tailscale IP for {tailscaleIp}" }, 0);
+  }
+
+  logger.info(`${service.name}: waiting for ${service.url} (up to ${formatDuration(timeout)})...`);
+  for (let attempt = 1; ; attempt += 1) {
+    const result = await probeHealth(health, service.url, adapters);
+    if (result.healthy || Date.now() + health.interval >= deadline) {
+      return entry(result, attempt);
+    }
+    logger.debug(`${service.name}: not healthy yet (${result.error})`);
+    await adapters.process.sleep(health.interval);
+  }
+}
+
+/**
+ * Chờ các service (đã có health) healthy song song
+ *
+ * @param {Array} services - [{ name, health }]
+ * @param {object} input - { logger, adapters, budget }
+ */
+async function waitForServicesHealthy(services, input) {
+  const resolved = services.map((service) => ({ ...service, url: resolveHealthUrl(service.health.url, input.adapters, input.logger) }));
+  return Promise.all(resolved.map((service) => waitForHealthy(service, input)));
+}
+
+/**
+ * Parse input
+ * options.names: chỉ các service này (mặc định: mọi service có health)
+ * options.events: emitter của sync session (services:health)
+ * options.adapters: adapter overrides (xem adapters/context.js)
+ * options.budget: budget của step (--deadline)
+ */
+function parseInput(config, logger, options = {}) {
+  return {
+    names: options.names || [],
+    declared: config.services.filter((service) => service.health),
+    events: options.events || null,
+    adapters: createAdapterContext(options.adapters),
+    budget: options.budget || null,
+    logger,
+  };
+}
+
+/**
+ * Validate
+ */
+function validate(input) {
+  const declaredNames = input.declared.map((service) => service.name);
+  const unknown = input.names.filter((name) => !declaredNames.includes(name));
+
+  if (unknown.length > 0) {
+    throw new ValidationError(`Validation failed: no health check declared for service(s): ${unknown.join(", ")}`);
+  }
+}
+
+/**
+ * Plan
+ */
+function plan(input) {
+  return {
+    action: "check_services_health",
+    services: input.names.length > 0 ? input.declared.filter((service) => input.names.includes(service.name)) : input.declared,
+  };
+}
+
+/**
+ * Execute
+ */
+async function execute(planResult, input) {
+  const services = await waitForServicesHealthy(planResult.services, input);
+  emit(input.events, EVENTS.SERVICES_HEALTH, { services: services.map(({ name, url, healthy }) => ({ name, url, healthy })) });
+  return { services };
+}
+
+/**
+ * Dry-run - in health URL sẽ kiểm tra
+ */
+function reportDryRun(planResult, input) {
+  const { logger } = input;
+
+  planResult.services.forEach((service) => {
+    const expected = service.health.status != null ? `HTTP ${service.health.status}` : "HTTP 2xx";
+    logger.info(`[dry-run] Would wait up to ${formatDuration(service.health.timeout)} for ${service.name}: ${service.health.url} (${expected})`);
+  });
+
+  return { success: true, dryRun: true, services: [] };
+}
+
+/**
+ * Report
+ */
+function report(result, input) {
+  const { logger } = input;
+
+  result.services.forEach((entry) => {
+    if (entry.healthy) {
+      logger.success(`${entry.name}: healthy (HTTP ${entry.statusCode}, ${formatDuration(entry.durationMs)})`);
+    }
+  });
+
+  const unhealthy = result.services.filter((entry) => !entry.healthy);
+  if (unhealthy.length > 0) {
+    throw new NetworkError(`Service(s) not healthy: ${unhealthy.map((entry) => `${entry.name} (${entry.url || "no URL"}: ${entry.error})`).join(", ")}`);
+  }
+
+  return { success: true, services: result.services };
+}
+
+/**
+ * Main function - chờ services trên runner này trả lời health URL
+ */
+async function checkServicesHealth(config, logger, options = {}) {
+  // Step 1: Parse Input
+  const input = parseInput(config, logger, options);
+
+  // Step 2: Validate
+  validate(input);
+
+  // Step 3: Plan
+  const planResult = plan(input);
+
+  if (config.dryRun) {
+    return reportDryRun(planResult, input);
+  }
+
+  // Step 4: Execute
+  const execResult = await execute(planResult, input);
+
+  // Step 5: Report
+  return report(execResult, input);
+}
+
+module.exports = {
+  checkServicesHealth,
+  waitForServicesHealthy,
+  resolveHealthUrl,
+  probeHealth,
+  parseInput,
+  validate,
+  plan,
+  execute,
+  report,
+  reportDryRun,
+};
@@ -4,8 +4,8 @@
  */
 
 const tailscale = require("../adapters/tailscale");
-const fs_adapter = require("../adapters/fs");
 const runnerDetector = require("./runner-detector");
+const syncOrchestrator = require("./sync-orchestrator");
 const { ValidationError, ProcessError } = require("../utils/errors");
 
 /**
@@ -48,60 +48,79 @@ function plan(input) {
  */
 async function execute(planResult, input) {
   const { config, logger } = input;
-  const results = {};
+  const results = { steps: [] };
 
   for (const step of planResult.steps) {
     if (!step.enabled) {
       logger.debug(`Skipping step: ${step.name}`);
+      results.steps.push({ name: step.name, status: "disabled" });
       continue;
     }
 
     logger.info(`━━━ Step: ${step.name} ━━━`);
 
-    switch (step.name) {
-      case "setup_directories": {
-        const dirs = config.getDirectoriesToEnsure();
-        fs_adapter.ensureDirs(dirs);
-        logger.success(`Created ${dirs.length} directories`);
-        results.setupDirs = dirs;
+    try {
+      await executeStep(step, config, logger, results);
+      results.steps.push({ name: step.name, status: "completed" });
+    } catch (err) {
+      results.steps.push({ name: step.name, status: "failed", error: err.message });
+      err.results = results;
+      throw err;
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Execute một step của init workflow
+ */
+async function executeStep(step, config, logger, results) {
+  switch (step.name) {
+    case "setup_directories": {
+      // Giống sync: tạo thư mục + ghi metadata (profile) để runner sau nhận ra runner này
+      const setupResult = await syncOrchestrator.setupDirectories(config, logger);
+      results.setupDirs = setupResult.directories;
+      results.metadata = setupResult.metadata;
+      break;
+    }
+    case "connect_tailscale": {
+      if (config.dryRun) {
+        results.tailscale = syncOrchestrator.dryRunConnectTailscale(config, logger);
         break;
       }
-      case "connect_tailscale": {
-        const installed = tailscale.install(logger);
-        if (!installed) {
-          throw new ProcessError("Failed to install Tailscale");
-        }
-
-        await tailscale.login(
-          config.tailscaleClientId,
-          config.tailscaleClientSecret,
-          config.tailscaleTags,
-          logger,
-          config
-        );
-
-        const ip = tailscale.getIP(logger);
-        const hostname = tailscale.getHostname(logger);
-        logger.success(`Tailscale connected: ${ip || hostname}`);
-        results.tailscale = { ip, hostname };
-        break;
+      const installed = tailscale.install(logger);
+      if (!installed) {
+        throw new ProcessError("Failed to install Tailscale");
       }
-      case "detect_previous_runner": {
-        results.detection = await runnerDetector.detectPreviousRunner(config, logger);
-        if (results.detection.previousRunner) {
-          logger.success(`Previous runner: ${results.detection.previousRunner.hostname}`);
-          logger.info(`  IP: ${results.detection.previousRunner.ips[0]}`);
-        } else {
-          logger.info("No previous runner found - this is the first runner");
-        }
-        break;
+
+      await tailscale.login(
+        config.tailscaleClientId,
+        config.tailscaleClientSecret,
+        config.tailscaleTags,
+        logger,
+        config
+      );
+
+      const ip = tailscale.getIP(logger);
+      const hostname = tailscale.getHostname(logger);
+      logger.success(`Tailscale connected: ${ip || hostname}`);
+      results.tailscale = { ip, hostname };
+      break;
+    }
+    case "detect_previous_runner": {
+      results.detection = await runnerDetector.detectPreviousRunner(config, logger);
+      if (results.detection.previousRunner) {
+        logger.success(`Previous runner: ${results.detection.previousRunner.hostname}`);
+        logger.info(`  IP: ${results.detection.previousRunner.ips[0]}`);
+      } else {
+        logger.info("No previous runner found - this is the first runner");
       }
-      default:
-        logger.warn(`Unknown step: ${step.name}`);
+      break;
     }
+    default:
+      logger.warn(`Unknown step: ${step.name}`);
   }
-
-  return results;
 }
 
 /**
@@ -112,9 +131,11 @@ function report(results, input) {
   if (!input.config.tailscaleEnable) {
     logger.info("Tailscale disabled - skipping network setup");
   }
-  logger.success("Init workflow completed");
+  logger.success(input.config.dryRun ? "Init dry run completed - no changes were made" : "Init workflow completed");
   return {
     success: true,
+    dryRun: input.config.dryRun || undefined,
+    steps: results.steps,
     tailscale: results.tailscale,
     previousRunner: results.detection?.previousRunner || null,
   };
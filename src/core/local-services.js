@@ -0,0 +1,382 @@
+/**
+ * core/local-services.js
+ * Start/stop services khai báo trong config file (services[] có `command`) trên runner hiện tại
+ *
+ * - Mỗi service chạy detached (process group riêng), sống tiếp sau khi runner-sync exit
+ * - PID file: .runner-data/pid/<name>.pid (hoặc stop.pidfile, chỉ chứa pid), log: .runner-data/logs/<name>.log (append stdout + stderr)
+ * - Stop theo stop definition của service (xem Config.normalizeStopSpec) - cùng format với stop trên previous runner
+ * - Data dir: .runner-data/data-services/<name> (hoặc `dataDir`), truyền qua env RUNNER_SYNC_SERVICE_DATA_DIR
+ * - Service có `health`: start chỉ thành công khi health URL trả lời (xem core/health-check.js)
+ */
+
+const path = require("path");
+const { createAdapterContext } = require("../adapters/context");
+const { ValidationError, ProcessError } = require("../utils/errors");
+const { EVENTS, emit } = require("./sync-events");
+const { waitForServicesHealthy } = require("./health-check");
+const { formatDuration } = require("../utils/time");
+const CONST = require("../utils/constants");
+
+const ACTIONS = ["start", "stop", "restart", "list"];
+
+function getPidFile(config, name) {
+  return path.join(config.pidDir, `${name}.pid`);
+}
+
+function getLogFile(config, name) {
+  return path.join(config.logsDir, `${name}.log`);
+}
+
+/**
+ * Trạng thái hiện tại của một service (theo PID file)
+ *
+ * @returns {{ name, pid, running, stale, pidFile, logFile, dataDir, command, autoStart }}
+ *          stale: có PID file nhưng process đã thoát
+ */
+function readServiceState(config, service, adapters = createAdapterContext()) {
+  const pidFile = service.pidFile || getPidFile(config, service.name);
+  const pid = Number.parseInt(adapters.fs.readFile(pidFile) || "", 10) || null;
+  const running = pid ? adapters.process.isProcessAlive(pid) : false;
+
+  return {
+    name: service.name,
+    pid,
+    running,
+    stale: pid !== null && !running,
+    pidFile,
+    logFile: getLogFile(config, service.name),
+    dataDir: service.dataDir,
+    command: service.command,
+    autoStart: service.autoStart,
+  };
+}
+
+/**
+ * Trạng thái mọi service khai báo (dùng cho status / services list)
+ */
+function listLocalServices(config, options = {}) {
+  const adapters = createAdapterContext(options.adapters);
+  return config.localServices.map((service) => readServiceState(config, service, adapters));
+}
+
+/**
+ * Parse input
+ * options.action: start | stop | restart | list
+ * options.names: chỉ các service này (mặc định: tất cả; start_local_services dùng service có autoStart)
+ * options.events: emitter của sync session (services:started)
+ * options.adapters: adapter overrides (xem adapters/context.js)
+ * options.budget: budget của step (--deadline), giới hạn thời gian chờ health check
+ */
+function parseInput(config, logger, options = {}) {
+  return {
+    action: options.action || "list",
+    names: options.names || [],
+    declared: config.localServices,
+    events: options.events || null,
+    adapters: createAdapterContext(options.adapters),
+    budget: options.budget || null,
+    config,
+    logger,
+  };
+}
+
+/**
+ * Validate
+ */
+function validate(input) {
+  const errors = [];
+
+  if (!ACTIONS.includes(input.action)) {
+    errors.push(`Unknown action '${input.action}' (expected ${ACTIONS.join(", ")})`);
+  }
+
+  const declaredNames = input.declared.map((service) => service.name);
+  const unknown = input.names.filter((name) => !declaredNames.includes(name));
+  if (unknown.length > 0) {
+    errors.push(
+      `Unknown service(s): ${unknown.join(", ")}` + (declaredNames.length ? ` (declared: ${declaredNames.join(", ")})` : " (no services with a command in the config file)"),
+    );
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError(`Validation failed: ${errors.join(", ")}`);
+  }
+}
+
+/**
+ * Plan
+ */
+function plan(input) {
+  const selected = input.names.length > 0 ? input.declared.filter((service) => input.names.includes(service.name)) : input.declared;
+
+  return {
+    action: input.action,
+    services: selected.map((service) => ({
+      ...service,
+      pidFile: service.pidFile || getPidFile(input.config, service.name),
+      logFile: getLogFile(input.config, service.name),
+    })),
+  };
+}
+
+/**
+ * Start một service: bỏ qua nếu đang chạy, xóa PID file stale, chờ CONST.SERVICE_START_CHECK để bắt lỗi exit ngay
+ */
+async function startService(service, input) {
+  const { logger, adapters, config } = input;
+  const { fs: fs_adapter, process: process_adapter } = adapters;
+
+  const state = readServiceState(config, service, adapters);
+  if (state.running) {
+    logger.info(`${service.name}: already running (pid ${state.pid})`);
+    return { name: service.name, status: "running", pid: state.pid, logFile: service.logFile };
+  }
+  if (state.stale) {
+    logger.debug(`${service.name}: removing stale PID file (pid ${state.pid})`);
+    fs_adapter.remove(service.pidFile);
+  }
+
+  fs_adapter.ensureDirs([config.pidDir, config.logsDir, service.dataDir]);
+  logger.info(`${service.name}: starting \`${service.command}\``);
+
+  let pid;
+  try {
+    pid = process_adapter.spawnDetached(service.command, {
+      cwd: service.cwd,
+      logFile: service.logFile,
+      env: {
+        ...service.env,
+        RUNNER_SYNC_SERVICE: service.name,
+        RUNNER_SYNC_SERVICE_DATA_DIR: service.dataDir,
+        RUNNER_SYNC_DATA_DIR: config.runnerDataDir,
+      },
+    });
+  } catch (err) {
+    return { name: service.name, status: "failed", pid: null, logFile: service.logFile, error: err.message };
+  }
+  fs_adapter.writeFile(service.pidFile, `${pid}\n`);
+
+  await process_adapter.sleep(CONST.SERVICE_START_CHECK);
+  if (!process_adapter.isProcessAlive(pid)) {
+    fs_adapter.remove(service.pidFile);
+    return { name: service.name, status: "failed", pid, logFile: service.logFile, error: `exited right after start (see ${service.logFile})` };
+  }
+
+  logger.success(`${service.name}: started (pid ${pid}, log ${service.logFile})`);
+  return { name: service.name, status: "started", pid, logFile: service.logFile };
+}
+
+/**
+ * PID còn sống của service: PID file + process khớp stop.match
+ */
+function findServicePids(service, state, process_adapter) {
+  const pids = state.running ? [state.pid] : [];
+  if (service.stop.match) {
+    pids.push(...process_adapter.findProcesses(service.stop.match));
+  }
+  return [...new Set(pids)].filter((pid) => process_adapter.isProcessAlive(pid));
+}
+
+/**
+ * Post-stop check (stop.check, ví dụ port đã đóng) đạt chưa - không khai báo thì luôn đạt
+ */
+function isStopCheckPassed(service, process_adapter) {
+  return !service.stop.check || process_adapter.runCapture(service.stop.check, { cwd: service.cwd }) !== null;
+}
+
+/**
+ * Stop một service theo stop definition: stop.command → stop.signal (process group) → chờ tối đa stop.grace
+ * (process thoát + post-stop check đạt) → SIGKILL process còn sống
+ */
+async function stopService(service, input) {
+  const { logger, adapters, config } = input;
+  const { fs: fs_adapter, process: process_adapter } = adapters;
+  const { stop } = service;
+
+  const state = readServiceState(config, service, adapters);
+  const pids = findServicePids(service, state, process_adapter);
+  if (pids.length === 0 && isStopCheckPassed(service, process_adapter)) {
+    if (state.stale) fs_adapter.remove(service.pidFile);
+    logger.info(`${service.name}: not running`);
+    return { name: service.name, status: "stopped", pid: null, wasRunning: false };
+  }
+
+  logger.info(`${service.name}: stopping (pid ${pids.join(", ") || "none"})...`);
+  if (stop.command) {
+    try {
+      await process_adapter.runWithTimeout(stop.command, stop.grace, { cwd: service.cwd, logger });
+    } catch (err) {
+      logger.warn(`${service.name}: stop command failed: ${err.message}`);
+    }
+  }
+  pids.forEach((pid) => process_adapter.signalProcess(pid, stop.signal));
+
+  const isStopped = () => pids.every((pid) => !process_adapter.isProcessAlive(pid)) && isStopCheckPassed(service, process_adapter);
+  const deadline = Date.now() + stop.grace;
+  while (!isStopped() && Date.now() < deadline) {
+    await process_adapter.sleep(CONST.SERVICE_POLL_INTERVAL);
+  }
+
+  let killed = false;
+  const survivors = pids.filter((pid) => process_adapter.isProcessAlive(pid));
+  if (survivors.length > 0) {
+    logger.warn(`${service.name}: still running after ${formatDuration(stop.grace)} - sending SIGKILL`);
+    survivors.forEach((pid) => process_adapter.signalProcess(pid, "SIGKILL"));
+    killed = true;
+    await process_adapter.sleep(CONST.SERVICE_POLL_INTERVAL);
+  }
+
+  const remaining = pids.filter((pid) => process_adapter.isProcessAlive(pid));
+  if (remaining.length > 0) {
+    return { name: service.name, status: "failed", pid: state.pid, wasRunning: true, error: `process ${remaining.join(", ")} did not exit` };
+  }
+  if (!isStopCheckPassed(service, process_adapter)) {
+    return { name: service.name, status: "failed", pid: state.pid, wasRunning: true, error: `post-stop check failed: ${stop.check}` };
+  }
+
+  fs_adapter.remove(service.pidFile);
+  logger.success(`${service.name}: stopped${killed ? " (killed)" : ""}`);
+  return { name: service.name, status: "stopped", pid: state.pid, wasRunning: true, killed };
+}
+
+/**
+ * Chờ service vừa start (hoặc đang chạy) có `health` trả lời health URL - không healthy thì entry thành failed
+ */
+async function checkStartedHealth(services, entries, input) {
+  const started = entries.filter((entry) => entry.status !== "failed");
+  const withHealth = services.filter((service) => service.health && started.some((entry) => entry.name === service.name));
+  if (withHealth.length === 0) return;
+
+  const results = await waitForServicesHealthy(withHealth, input);
+  results.forEach((result) => {
+    const entry = entries.find((candidate) => candidate.name === result.name);
+    entry.healthy = result.healthy;
+    if (result.healthy) {
+      input.logger.success(`${result.name}: healthy (HTTP ${result.statusCode}, ${formatDuration(result.durationMs)})`);
+    } else {
+      Object.assign(entry, { status: "failed", error: `not healthy after ${formatDuration(result.durationMs)}: ${result.error}` });
+    }
+  });
+}
+
+/**
+ * Execute
+ */
+async function execute(planResult, input) {
+  const { config, adapters, events } = input;
+  const entries = [];
+
+  if (planResult.action === "list") {
+    return { action: "list", services: planResult.services.map((service) => readServiceState(config, service, adapters)) };
+  }
+
+  for (const service of planResult.services) {
+    if (planResult.action === "stop" || planResult.action === "restart") {
+      const stopped = await stopService(service, input);
+      if (planResult.action === "stop" || stopped.status === "failed") {
+        entries.push(stopped);
+        continue;
+      }
+    }
+    entries.push(await startService(service, input));
+  }
+
+  if (planResult.action !== "stop") {
+    await checkStartedHealth(planResult.services, entries, input);
+
+    emit(events, EVENTS.SERVICES_STARTED, {
+      services: entries.filter((entry) => entry.status !== "failed").map(({ name, pid }) => ({ name, pid })),
+      failed: entries.filter((entry) => entry.status === "failed").map((entry) => entry.name),
+    });
+  }
+
+  return { action: planResult.action, services: entries };
+}
+
+/**
+ * Dry-run - in service sẽ start / stop
+ */
+function reportDryRun(planResult, input) {
+  const { logger, config, adapters } = input;
+
+  const commands = [];
+  const services = planResult.services.map((service) => {
+    const state = readServiceState(config, service, adapters);
+    logger.info(`[dry-run] Would ${planResult.action} ${service.name}${state.running ? ` (running, pid ${state.pid})` : ""}`);
+    if (planResult.action !== "stop") {
+      const command = `cd ${service.cwd} && ${service.command} >> ${service.logFile} 2>&1 &`;
+      logger.info(`[dry-run]   ${command}`);
+      commands.push(command);
+      if (service.health) {
+        logger.info(`[dry-run]   then wait up to ${formatDuration(service.health.timeout)} for ${service.health.url}`);
+      }
+    }
+    return { name: service.name, status: state.running ? "running" : "stopped", pid: state.pid };
+  });
+
+  return { success: true, dryRun: true, action: planResult.action, services, commands };
+}
+
+/**
+ * Report
+ */
+function report(result, input) {
+  const { logger } = input;
+
+  if (result.action === "list") {
+    if (result.services.length === 0) {
+      logger.info("No local services declared (add `command` to services[] in the config file)");
+    }
+    result.services.forEach((state) => {
+      const status = state.running ? `running (pid ${state.pid})` : state.stale ? `stopped (stale pid ${state.pid})` : "stopped";
+      logger.info(`${state.name}: ${status} - log ${state.logFile}`);
+    });
+    return { success: true, action: "list", services: result.services };
+  }
+
+  const failed = result.services.filter((entry) => entry.status === "failed");
+  if (failed.length > 0) {
+    throw new ProcessError(`Failed to ${result.action} service(s): ${failed.map((entry) => `${entry.name} (${entry.error})`).join(", ")}`);
+  }
+
+  return { success: true, action: result.action, services: result.services };
+}
+
+/**
+ * Main function - start / stop / restart / list local services
+ */
+async function manageLocalServices(config, logger, options = {}) {
+  // Step 1: Parse Input
+  const input = parseInput(config, logger, options);
+
+  // Step 2: Validate
+  validate(input);
+
+  // Step 3: Plan
+  const planResult = plan(input);
+
+  if (config.dryRun && planResult.action !== "list") {
+    return reportDryRun(planResult, input);
+  }
+
+  // Step 4: Execute
+  const execResult = await execute(planResult, input);
+
+  // Step 5: Report
+  return report(execResult, input);
+}
+
+module.exports = {
+  ACTIONS,
+  manageLocalServices,
+  listLocalServices,
+  readServiceState,
+  getPidFile,
+  getLogFile,
+  parseInput,
+  validate,
+  plan,
+  execute,
+  report,
+  reportDryRun,
+};
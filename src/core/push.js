@@ -3,18 +3,23 @@
  * Push .runner-data to git repository
  */
 
-const git = require("../adapters/git");
+const { createAdapterContext } = require("../adapters/context");
 const { getTimestamp } = require("../utils/time");
-const { ValidationError, ProcessError } = require("../utils/errors");
+const { getPartialSyncMarker } = require("./data-sync");
+const { ValidationError, ProcessError, SyncError } = require("../utils/errors");
 
 /**
  * Parse input
+ * options.adapters: adapter overrides (xem adapters/context.js)
  */
-function parseInput(config, logger) {
+function parseInput(config, logger, options = {}) {
   return {
     gitEnabled: config.gitEnabled,
     gitBranch: config.gitBranch,
     cwd: config.cwd,
+    // Pull bị cancel / lỗi giữa chừng để lại marker - không push data dở dang
+    partialSync: getPartialSyncMarker(config, createAdapterContext(options.adapters)),
+    adapters: createAdapterContext(options.adapters),
     logger,
   };
 }
@@ -27,6 +32,7 @@ function validate(input) {
     return;
   }
 
+  const { git } = input.adapters;
   if (!git.isAvailable()) {
     throw new ProcessError("Git is not available");
   }
@@ -34,6 +40,12 @@ function validate(input) {
   if (!git.isGitRepo(input.cwd)) {
     throw new ValidationError("Not a git repository");
   }
+
+  if (input.partialSync) {
+    throw new SyncError(
+      `Refusing to push partially synced .runner-data (interrupted pull from ${input.partialSync.source || "unknown"}, see ${input.partialSync.path})`,
+    );
+  }
 }
 
 /**
@@ -55,7 +67,7 @@ function plan(input) {
  * Execute
  */
 async function execute(planResult, input) {
-  const { logger } = input;
+  const { logger, adapters } = input;
 
   if (planResult.action === "skip") {
     logger.warn("Git push disabled (GIT_PUSH_ENABLED=0)");
@@ -65,7 +77,7 @@ async function execute(planResult, input) {
   const timestamp = getTimestamp();
   const message = `[runner-sync] Update .runner-data at ${timestamp}`;
 
-  const pushed = await git.commitAndPush(message, planResult.branch, {
+  const pushed = await adapters.git.commitAndPush(message, planResult.branch, {
     logger,
     cwd: planResult.cwd,
   });
@@ -73,6 +85,26 @@ async function execute(planResult, input) {
   return { pushed };
 }
 
+/**
+ * Dry-run - in các lệnh git sẽ chạy
+ */
+function reportDryRun(planResult, input) {
+  const { logger } = input;
+
+  if (planResult.action === "skip") {
+    logger.info("[dry-run] Git push disabled (GIT_PUSH_ENABLED=0)");
+    return { success: true, dryRun: true, skipped: true, commands: [] };
+  }
+
+  const message = `[runner-sync] Update .runner-data at ${getTimestamp()}`;
+  const commands = input.adapters.git.getCommitAndPushCommands(message, planResult.branch);
+
+  logger.info(`[dry-run] Would push .runner-data to branch ${planResult.branch} (cwd: ${planResult.cwd})`);
+  commands.forEach((cmd) => logger.info(`[dry-run]   ${cmd}`));
+
+  return { success: true, dryRun: true, commands };
+}
+
 /**
  * Report
  */
@@ -95,10 +127,13 @@ function report(result, input) {
 /**
  * Main push function
  */
-async function pushRunnerData(config, logger) {
-  const input = parseInput(config, logger);
+async function pushRunnerData(config, logger, options = {}) {
+  const input = parseInput(config, logger, options);
   validate(input);
   const planResult = plan(input);
+  if (config.dryRun) {
+    return reportDryRun(planResult, input);
+  }
   const execResult = await execute(planResult, input);
   return report(execResult, input);
 }
@@ -110,4 +145,5 @@ module.exports = {
   plan,
   execute,
   report,
+  reportDryRun,
 };
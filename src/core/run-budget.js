@@ -0,0 +1,159 @@
+/**
+ * core/run-budget.js
+ * Deadline cho cả lần chạy (--deadline / RUNNER_SYNC_DEADLINE): chia thời gian còn lại cho từng step
+ *
+ * - Thời gian của một step = phần còn lại đến deadline trừ reserve của các step chạy sau (mặc định push_to_git giữ 1m)
+ * - Step thường không còn đủ CONST.DEADLINE_MIN_STEP bị bỏ qua; step có reserve chỉ bị bỏ qua khi đã hết giờ
+ * - Mọi lệnh của process adapter trong step (kể cả git push / ssh) bị giới hạn tới hết phần thời gian của step
+ */
+
+const { ProcessError } = require("../utils/errors");
+const { formatDuration } = require("../utils/time");
+const CONST = require("../utils/constants");
+
+/**
+ * Thời gian của một step
+ *
+ * @returns {{ endsAt, availableMs, remaining(), clamp(timeoutMs) }}
+ */
+function createStepBudget(availableMs, now = Date.now) {
+  const endsAt = now() + availableMs;
+
+  return {
+    endsAt,
+    availableMs,
+    remaining() {
+      return Math.max(0, endsAt - now());
+    },
+    /**
+     * Timeout không vượt quá phần thời gian còn lại của step (tối thiểu 1ms)
+     */
+    clamp(timeoutMs) {
+      return Math.max(1, Math.min(timeoutMs, endsAt - now()));
+    },
+  };
+}
+
+/**
+ * Tạo budget cho lần chạy, null khi không có deadline
+ *
+ * @param {Config} config - deadline (ms), deadlineReserves ({ "<step>": ms })
+ * @param {object} options - { startedAt, now }
+ */
+function createRunBudget(config, options = {}) {
+  if (!config.deadline) return null;
+
+  const { now = Date.now, startedAt = now() } = options;
+  const endsAt = startedAt + config.deadline;
+  const reserves = config.deadlineReserves || {};
+
+  const remaining = () => Math.max(0, endsAt - now());
+
+  return {
+    deadlineMs: config.deadline,
+    remaining,
+
+    /**
+     * Budget cho step sắp chạy
+     *
+     * @param {string} name - step
+     * @param {string[]} laterSteps - các step enabled còn lại sau step này
+     * @returns {{ budget, skipReason }} skipReason != null: không đủ thời gian, bỏ qua step
+     */
+    forStep(name, laterSteps) {
+      const left = remaining();
+      const reservedFor = laterSteps.filter((later) => reserves[later] > 0);
+      const reservedMs = reservedFor.reduce((sum, later) => sum + reserves[later], 0);
+      const availableMs = Math.max(0, left - reservedMs);
+      const critical = reserves[name] > 0;
+
+      if (critical ? left <= 0 : availableMs < CONST.DEADLINE_MIN_STEP) {
+        const reserved = reservedMs > 0 ? `, ${formatDuration(reservedMs)} reserved for ${reservedFor.join(", ")}` : "";
+        return {
+          budget: null,
+          skipReason: `deadline budget exhausted: ${formatDuration(left)} left${reserved}`,
+        };
+      }
+
+      return { budget: createStepBudget(critical ? left : availableMs, now), skipReason: null };
+    },
+  };
+}
+
+/**
+ * Lỗi timeout do budget cắt ngắn (limit < timeout gốc) được ghi rõ nguồn giới hạn (budget.limitedBy, mặc định --deadline)
+ */
+function markDeadlineTimeout(err, limit, timeoutMs, budget) {
+  if (limit < timeoutMs && err.message.startsWith("Command timeout")) {
+    return new ProcessError(`${err.message} (limited by ${budget.limitedBy || "--deadline"})`);
+  }
+  return err;
+}
+
+/**
+ * Adapter context cho step: mọi lệnh của process adapter (run / runCapture / runWithTimeout / waitForCondition)
+ * bị giới hạn theo budget của step; git và ssh chạy lệnh qua process adapter đã giới hạn này
+ * Gọi lồng nhau được (budget của lần thử trong budget của step): processAdapter truyền từ lớp ngoài được giữ nguyên
+ */
+function withStepBudget(adapters, budget) {
+  if (!budget) return adapters;
+
+  const { process: process_adapter, git, ssh } = adapters;
+
+  const processAdapter = {
+    ...process_adapter,
+    run(cmd, options = {}) {
+      const timeoutMs = options.timeout ?? Infinity;
+      const limit = budget.clamp(timeoutMs);
+      try {
+        return process_adapter.run(cmd, { ...options, timeout: limit });
+      } catch (err) {
+        throw markDeadlineTimeout(err, limit, timeoutMs, budget);
+      }
+    },
+    runCapture(cmd, options = {}) {
+      return process_adapter.runCapture(cmd, { ...options, timeout: budget.clamp(options.timeout ?? Infinity) });
+    },
+    async runWithTimeout(cmd, timeoutMs, options) {
+      const limit = budget.clamp(timeoutMs);
+      try {
+        return await process_adapter.runWithTimeout(cmd, limit, options);
+      } catch (err) {
+        throw markDeadlineTimeout(err, limit, timeoutMs, budget);
+      }
+    },
+    waitForCondition(checkFn, timeoutMs = 30000, intervalMs) {
+      return process_adapter.waitForCondition(checkFn, budget.clamp(timeoutMs), intervalMs);
+    },
+  };
+
+  return {
+    ...adapters,
+    process: processAdapter,
+    git: {
+      ...git,
+      add: (files, options) => git.add(files, { processAdapter, ...options }),
+      commit: (message, options) => git.commit(message, { processAdapter, ...options }),
+      push: (branch, options) => git.push(branch, { processAdapter, ...options }),
+      pull: (branch, options) => git.pull(branch, { processAdapter, ...options }),
+      commitAndPush: (message, branch, options) => git.commitAndPush(message, branch, { processAdapter, ...options }),
+    },
+    ssh: {
+      ...ssh,
+      executeCommand: (host, command, options) => ssh.executeCommand(host, command, { processAdapter, ...options }),
+      executeCommandWithSudoFallback: (host, command, options) => ssh.executeCommandWithSudoFallback(host, command, { processAdapter, ...options }),
+      executeCommandCapture: (host, command, options) => ssh.executeCommandCapture(host, command, { processAdapter, ...options }),
+      checkConnection: (host, options) => ssh.checkConnection(host, { processAdapter, ...options }),
+      getServiceStates: (host, services, options) => ssh.getServiceStates(host, services, { processAdapter, ...options }),
+      getRunningServices: (host, services, options) => ssh.getRunningServices(host, services, { processAdapter, ...options }),
+      killServices: (host, services, options) => ssh.killServices(host, services, { processAdapter, ...options }),
+      stopServices: (host, services, options) => ssh.stopServices(host, services, { processAdapter, ...options }),
+    },
+  };
+}
+
+module.exports = {
+  createRunBudget,
+  createStepBudget,
+  withStepBudget,
+};
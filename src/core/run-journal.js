@@ -0,0 +1,143 @@
+/**
+ * core/run-journal.js
+ * Journal của một lần chạy orchestrator (trạng thái từng step, peer đã chọn, outputs)
+ * lưu trong .runner-data/tmp - dùng cho --resume và để tra lại run bị crash/cancel
+ */
+
+const os = require("os");
+const path = require("path");
+const fs_adapter = require("../adapters/fs");
+const CONST = require("../utils/constants");
+
+const JOURNAL_VERSION = 1;
+
+// Step có status này được bỏ qua khi --resume (warning/failed/running/not_run sẽ chạy lại)
+// skipped: chính step báo bỏ qua (ví dụ không có previous runner); not_run: bị bỏ bởi skip-rest / --deadline
+const RESUMABLE_STATUSES = ["completed", "skipped"];
+
+function getJournalPath(config) {
+  return path.join(config.tmpDir, CONST.RUN_JOURNAL_FILE);
+}
+
+/**
+ * Đọc journal, null nếu không có hoặc hỏng
+ */
+function load(config) {
+  try {
+    return fs_adapter.readJson(getJournalPath(config));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Journal có thể resume: cùng máy, chưa hoàn tất
+ * (journal có thể đến từ runner khác qua git push / scp của .runner-data)
+ */
+function loadResumable(config, logger) {
+  const journal = load(config);
+
+  if (!journal || journal.version !== JOURNAL_VERSION) {
+    logger.info("No run journal to resume - starting fresh");
+    return null;
+  }
+  if (journal.host !== os.hostname()) {
+    logger.warn(`Run journal was written on ${journal.host}, not this machine - starting fresh`);
+    return null;
+  }
+  if (journal.status === "completed") {
+    logger.info(`Previous run ${journal.runId} completed - nothing to resume, starting fresh`);
+    return null;
+  }
+
+  const done = journal.steps.filter((step) => RESUMABLE_STATUSES.includes(step.status)).map((step) => step.name);
+  logger.info(`Resuming run ${journal.runId} (${journal.status}); completed steps: ${done.join(", ") || "none"}`);
+  return journal;
+}
+
+/**
+ * Trạng thái một step trong journal trước đó (để quyết định có bỏ qua khi resume không)
+ */
+function getResumableStep(journal, name) {
+  const step = journal?.steps.find((item) => item.name === name);
+  return step && RESUMABLE_STATUSES.includes(step.status) ? step : null;
+}
+
+/**
+ * Tạo journal mới cho lần chạy hiện tại
+ */
+function create(config, resumedFrom = null) {
+  const now = new Date().toISOString();
+
+  return {
+    version: JOURNAL_VERSION,
+    runId: `${Date.now().toString(36)}-${process.pid}`,
+    resumedFrom: resumedFrom?.runId || null,
+    status: "running",
+    host: os.hostname(),
+    pid: process.pid,
+    cwd: config.cwd,
+    profile: config.profile || null,
+    ci: {
+      githubRunId: process.env.GITHUB_RUN_ID || null,
+      githubRunAttempt: process.env.GITHUB_RUN_ATTEMPT || null,
+      azureBuildId: process.env.BUILD_BUILDID || null,
+    },
+    startedAt: now,
+    updatedAt: now,
+    finishedAt: null,
+    peer: null,
+    steps: [],
+    outputs: {},
+  };
+}
+
+/**
+ * Cập nhật (hoặc thêm) trạng thái step
+ */
+function recordStep(journal, name, patch) {
+  const now = new Date().toISOString();
+  const existing = journal.steps.find((step) => step.name === name);
+
+  if (existing) {
+    Object.assign(existing, patch, { updatedAt: now });
+  } else {
+    journal.steps.push({ name, ...patch, updatedAt: now });
+  }
+}
+
+/**
+ * Đồng bộ outputs + peer từ results rồi ghi journal (atomic)
+ */
+function save(config, journal, results) {
+  if (results) {
+    const { steps, hooks, timings, durationMs, journal: _journal, ...outputs } = results;
+    journal.outputs = outputs;
+    journal.peer = results.detection?.previousRunner || journal.peer;
+  }
+  journal.updatedAt = new Date().toISOString();
+
+  fs_adapter.ensureDir(config.tmpDir);
+  fs_adapter.writeJson(getJournalPath(config), journal);
+}
+
+/**
+ * Đánh dấu kết thúc run (completed / failed)
+ */
+function finish(config, journal, status, results) {
+  journal.status = status;
+  journal.finishedAt = new Date().toISOString();
+  save(config, journal, results);
+}
+
+module.exports = {
+  JOURNAL_VERSION,
+  getJournalPath,
+  load,
+  loadResumable,
+  getResumableStep,
+  create,
+  recordStep,
+  save,
+  finish,
+};
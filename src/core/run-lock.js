@@ -0,0 +1,429 @@
+/**
+ * core/run-lock.js
+ * Run lock chống hai lần sync chạy chồng lên cùng data:
+ * - Local: lockfile trong pidDir (temp file + link: tạo nguyên tử, thất bại nếu đã có)
+ * - Remote: advisory lock trên previous runner, thư mục lock (mkdir atomic) cạnh metadata file, tạo qua SSH
+ *
+ * Lock đang bị giữ: chờ tối đa config.lockTimeout (0 = fail ngay).
+ * Lock stale (process giữ lock đã chết trên cùng máy, host giữ lock đã offline trên tailnet, hoặc cũ hơn
+ * config.lockStaleAfter) bị phá. Owner ghi nguyên tử (temp file rồi link / mv) - owner không đọc được vẫn là lock
+ * cho đến khi cũ hơn CONST.LOCK_UNREADABLE_GRACE.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createAdapterContext } = require("../adapters/context");
+const { LockError } = require("../utils/errors");
+const { formatDuration } = require("../utils/time");
+const CONST = require("../utils/constants");
+
+const REMOTE_OWNER_FILE = `${CONST.REMOTE_LOCK_DIR}/owner`;
+
+function getLocalLockPath(config) {
+  return path.join(config.pidDir, CONST.LOCK_FILE);
+}
+
+/**
+ * Thông tin lần chạy giữ lock
+ */
+function createHolder(config, lockId) {
+  return {
+    lockId,
+    host: os.hostname(),
+    pid: process.pid,
+    cwd: config.cwd,
+    profile: config.profile || null,
+    startedAt: new Date().toISOString(),
+  };
+}
+
+function describeHolder(holder) {
+  if (!holder) return "unknown holder";
+  return `${holder.host || "unknown host"} (pid ${holder.pid || "?"}, since ${holder.startedAt || "?"})`;
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    // EPERM: process tồn tại nhưng thuộc user khác
+    return err.code === "EPERM";
+  }
+}
+
+/**
+ * Lý do lock bị coi là stale, null nếu lock còn hiệu lực
+ * local: kiểm tra pid của holder (chỉ có nghĩa với local lock - runner khác có thể trùng hostname)
+ * ageMs: tuổi của lock (mtime) - owner không đọc được chỉ bị phá khi cũ hơn CONST.LOCK_UNREADABLE_GRACE
+ * holderAlive: kết quả liveness check của holder (false: đã chết, null: không biết)
+ */
+function getStaleReason(holder, staleAfter, { local = false, ageMs = null, holderAlive = null } = {}) {
+  if (!holder) {
+    // Owner đang được ghi (hoặc hỏng): chỉ phá khi đã quá grace
+    return ageMs !== null && ageMs > CONST.LOCK_UNREADABLE_GRACE ? `lock owner is unreadable for ${formatDuration(ageMs)}` : null;
+  }
+  if (local && holder.host === os.hostname() && holder.pid && !isProcessAlive(Number(holder.pid))) {
+    return `process ${holder.pid} is no longer running`;
+  }
+  if (holderAlive === false) {
+    return `${holder.host || "holder"} is no longer running the lock owner`;
+  }
+  const age = Date.now() - Date.parse(holder.startedAt);
+  if (staleAfter > 0 && age > staleAfter) {
+    return `held for ${formatDuration(age)} (stale after ${formatDuration(staleAfter)})`;
+  }
+  return null;
+}
+
+/**
+ * Thử lấy lock cho đến khi được hoặc hết timeout
+ *
+ * @param {Function} tryAcquire - () => { acquired: true } | { acquired: false, holder, ageMs }
+ * @param {Function} breakLock - (holder) => void, phá lock stale
+ * @param {object} context - { config, logger, adapters, local, checkHolder(holder) → true | false | null }
+ */
+async function waitForLock(label, tryAcquire, breakLock, context) {
+  const { config, logger, adapters } = context;
+  const startedAt = Date.now();
+  let announced = false;
+
+  for (;;) {
+    const attempt = await tryAcquire();
+    if (attempt.acquired) return;
+
+    const holderAlive = attempt.holder && context.checkHolder ? context.checkHolder(attempt.holder) : null;
+    const staleReason = getStaleReason(attempt.holder, config.lockStaleAfter, { local: context.local, ageMs: attempt.ageMs ?? null, holderAlive });
+    if (staleReason) {
+      logger.warn(`Breaking stale ${label} held by ${describeHolder(attempt.holder)}: ${staleReason}`);
+      await breakLock(attempt.holder);
+      continue;
+    }
+
+    const waited = Date.now() - startedAt;
+    if (waited >= config.lockTimeout) {
+      throw new LockError(
+        `${label} is held by ${describeHolder(attempt.holder)}` +
+          (config.lockTimeout > 0 ? ` - gave up after ${formatDuration(waited)}` : "") +
+          " (see --lock-timeout / --lock-stale-after)",
+        attempt.holder,
+      );
+    }
+
+    if (!announced) {
+      logger.info(`Waiting for ${label} held by ${describeHolder(attempt.holder)} (timeout ${formatDuration(config.lockTimeout)})...`);
+      announced = true;
+    }
+    await adapters.process.sleep(Math.min(CONST.LOCK_POLL_INTERVAL, config.lockTimeout - waited));
+  }
+}
+
+/**
+ * Đọc holder của local lock, null nếu không có lock
+ */
+function readLocalLock(config) {
+  const lockPath = getLocalLockPath(config);
+  if (!fs.existsSync(lockPath)) return null;
+
+  try {
+    return JSON.parse(fs.readFileSync(lockPath, "utf8"));
+  } catch {
+    // File đang được ghi dở hoặc hỏng - vẫn là lock
+    return {};
+  }
+}
+
+/**
+ * Tuổi của local lockfile (theo mtime), null nếu không có lock
+ */
+function getLocalLockAge(config) {
+  try {
+    return Date.now() - fs.statSync(getLocalLockPath(config)).mtimeMs;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Tạo lockfile nguyên tử: ghi đủ nội dung vào temp file rồi link (link thất bại với EEXIST nếu lock đã có)
+ * - lockfile không bao giờ tồn tại ở trạng thái ghi dở
+ *
+ * @returns {boolean} false nếu lock đã tồn tại
+ */
+function createLocalLockFile(lockPath, holder) {
+  const tmpPath = `${lockPath}.${holder.lockId}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(holder, null, 2) + "\n");
+  try {
+    fs.linkSync(tmpPath, lockPath);
+    return true;
+  } catch (err) {
+    if (err.code !== "EEXIST") throw err;
+    return false;
+  } finally {
+    fs.rmSync(tmpPath, { force: true });
+  }
+}
+
+async function acquireLocal(config, logger, holder, adapters) {
+  const lockPath = getLocalLockPath(config);
+  fs.mkdirSync(config.pidDir, { recursive: true });
+
+  await waitForLock(
+    `local run lock ${lockPath}`,
+    () => {
+      if (createLocalLockFile(lockPath, holder)) {
+        return { acquired: true };
+      }
+      const current = readLocalLock(config);
+      return { acquired: false, holder: current && current.lockId ? current : null, ageMs: getLocalLockAge(config) };
+    },
+    // Chỉ xóa khi lock vẫn là lock vừa đánh giá (waiter khác có thể đã phá và lấy lock)
+    (current) => {
+      if ((readLocalLock(config)?.lockId || null) === (current?.lockId || null)) {
+        fs.rmSync(lockPath, { force: true });
+      }
+    },
+    { config, logger, adapters, local: true },
+  );
+
+  logger.debug(`Acquired local run lock ${lockPath}`);
+}
+
+function releaseLocal(config, holder) {
+  // Chỉ xóa lock của chính mình
+  if (readLocalLock(config)?.lockId === holder.lockId) {
+    fs.rmSync(getLocalLockPath(config), { force: true });
+  }
+}
+
+/**
+ * Giá trị một dòng key=value trong owner file
+ */
+function sanitize(value) {
+  return String(value ?? "").replace(/[^\w.:@/+-]/g, "_");
+}
+
+/**
+ * Script sh cho từng thao tác lock trên remote (gửi qua ssh.wrapRemoteScript, không lo quoting)
+ * - acquire: mkdir (atomic) → ghi owner.tmp → mv thành owner; lock đang bị giữ: in tuổi thư mục lock + owner
+ * - break-unreadable: chỉ xóa khi owner vẫn không có và lock đã cũ hơn CONST.LOCK_UNREADABLE_GRACE
+ */
+function buildRemoteLockScript(action, holder) {
+  const dir = CONST.REMOTE_LOCK_DIR;
+  const graceSeconds = Math.ceil(CONST.LOCK_UNREADABLE_GRACE / 1000);
+  // Tuổi thư mục lock (giây) - GNU stat, fallback BSD stat
+  const age = `$(( $(date +%s) - $(stat -c %Y ${dir} 2>/dev/null || stat -f %m ${dir} 2>/dev/null || date +%s) ))`;
+
+  switch (action) {
+    case "acquire": {
+      const lines = ["lockId", "host", "pid", "profile", "startedAt"].map((key) => `'${key}=${sanitize(holder[key])}'`).join(" ");
+      return [
+        `if mkdir ${dir} 2>/dev/null; then`,
+        `  printf '%s\\n' ${lines} > ${REMOTE_OWNER_FILE}.tmp && mv ${REMOTE_OWNER_FILE}.tmp ${REMOTE_OWNER_FILE} && echo LOCK:acquired`,
+        "else",
+        "  echo LOCK:held",
+        `  echo "age=${age}"`,
+        // Exit 0 cả khi owner chưa có - executeCommandCapture coi exit != 0 là SSH lỗi
+        `  cat ${REMOTE_OWNER_FILE} 2>/dev/null || true`,
+        "fi",
+      ].join("\n");
+    }
+    // Chỉ xóa nếu lock vẫn thuộc đúng holder (tránh xóa lock vừa được người khác lấy)
+    case "release":
+    case "break":
+      return `grep -qx 'lockId=${sanitize(holder.lockId)}' ${REMOTE_OWNER_FILE} 2>/dev/null && rm -rf ${dir}; echo LOCK:released`;
+    case "break-unreadable":
+      return `if [ ! -f ${REMOTE_OWNER_FILE} ] && [ ${age} -gt ${graceSeconds} ]; then rm -rf ${dir}; fi; echo LOCK:released`;
+    case "read":
+      return `cat ${REMOTE_OWNER_FILE} 2>/dev/null`;
+    default:
+      throw new Error(`Unknown remote lock action: ${action}`);
+  }
+}
+
+/**
+ * Lệnh SSH cho một thao tác lock
+ */
+function buildRemoteLockCommand(action, holder, adapters = createAdapterContext()) {
+  return adapters.ssh.wrapRemoteScript(buildRemoteLockScript(action, holder));
+}
+
+/**
+ * Parse nội dung owner file (key=value mỗi dòng), null nếu không có lockId (owner chưa ghi xong / hỏng)
+ */
+function parseRemoteHolder(text) {
+  const entries = String(text || "")
+    .split(/\r?\n/)
+    .map((line) => line.match(/^(\w+)=(.*)$/))
+    .filter(Boolean)
+    .filter((match) => match[1] !== "age")
+    .map((match) => [match[1], match[2]]);
+  const holder = Object.fromEntries(entries);
+  return holder.lockId ? holder : null;
+}
+
+/**
+ * Tuổi lock trong output của "acquire" (dòng age=<giây>), null nếu không có
+ */
+function parseRemoteLockAge(text) {
+  const match = String(text || "").match(/^age=(\d+)$/m);
+  return match ? Number(match[1]) * 1000 : null;
+}
+
+/**
+ * user@ip để SSH vào previous runner (giống data-sync: metadata user, fallback root)
+ */
+function getRemoteLockHost(peer) {
+  const metaUser = peer.metadata?.runner?.user;
+  const envUser = peer.metadata?.env?.USER;
+  const user = metaUser && metaUser !== "unknown" ? metaUser : envUser || "root";
+  return `${user}@${peer.ips?.[0]}`;
+}
+
+/**
+ * Đọc holder của remote lock trên peer (dùng cho status), null nếu không có lock hoặc không SSH được
+ * Host không có user: thử runner@ rồi root@ (giống khi đọc metadata)
+ */
+function readRemoteLock(host, options = {}) {
+  const { sshPath, logger, adapters = createAdapterContext() } = options;
+  const hosts = host.includes("@") ? [host] : [`runner@${host}`, `root@${host}`];
+
+  for (const target of hosts) {
+    const output = adapters.ssh.executeCommandCapture(target, buildRemoteLockCommand("read", {}, adapters), { sshPath, logger, silent: true });
+    if (output) return parseRemoteHolder(output);
+  }
+  return null;
+}
+
+/**
+ * Liveness của holder remote lock: cùng máy → pid, runner khác → còn online trên tailnet không
+ *
+ * @returns {boolean|null} null: không xác định được (chỉ còn dựa vào lockStaleAfter)
+ */
+function isRemoteHolderAlive(holder, adapters, logger) {
+  if (holder.host === os.hostname()) {
+    return holder.pid ? isProcessAlive(Number(holder.pid)) : null;
+  }
+  const peer = adapters.tailscale.getPeerInfo(holder.host, logger);
+  return peer ? peer.online : null;
+}
+
+async function acquireRemote(config, logger, host, holder, adapters) {
+  const ssh = (command) => adapters.ssh.executeCommandCapture(host, command, { sshPath: config.sshPath, logger, silent: true });
+
+  await waitForLock(
+    `remote run lock on ${host}`,
+    () => {
+      const output = ssh(buildRemoteLockCommand("acquire", holder, adapters));
+      if (!output || !/LOCK:(acquired|held)/.test(output)) {
+        throw new LockError(`Cannot create remote run lock on ${host} (SSH failed)`);
+      }
+      if (output.includes("LOCK:acquired")) {
+        return { acquired: true };
+      }
+      return { acquired: false, holder: parseRemoteHolder(output), ageMs: parseRemoteLockAge(output) };
+    },
+    (current) => ssh(buildRemoteLockCommand(current?.lockId ? "break" : "break-unreadable", current || {}, adapters)),
+    { config, logger, adapters, checkHolder: (current) => isRemoteHolderAlive(current, adapters, logger) },
+  );
+
+  logger.info(`Acquired remote run lock on ${host}`);
+}
+
+/**
+ * Tạo run lock cho một lần orchestrate
+ * Trả về null khi lock tắt (--no-lock / lock.enabled=false) hoặc dry-run
+ *
+ * @returns {{ holder, acquireLocal(), restoreLocal(), ensureRemote(peer, options), releaseAll() }|null}
+ */
+function createRunLock(config, logger, options = {}) {
+  if (!config.lockEnabled || config.dryRun) return null;
+
+  const { adapters = createAdapterContext() } = options;
+  const holder = createHolder(config, `${Date.now().toString(36)}-${process.pid}`);
+  let localHeld = false;
+  let remoteHost = null;
+
+  return {
+    holder,
+
+    async acquireLocal() {
+      await acquireLocal(config, logger, holder, adapters);
+      localHeld = true;
+    },
+
+    /**
+     * Ghi lại local lockfile sau khi pull (scp fallback không có exclude, có thể chép đè lockfile của runner cũ)
+     */
+    restoreLocal() {
+      if (localHeld && readLocalLock(config)?.lockId !== holder.lockId) {
+        const lockPath = getLocalLockPath(config);
+        const tmpPath = `${lockPath}.${holder.lockId}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(holder, null, 2) + "\n");
+        fs.renameSync(tmpPath, lockPath);
+      }
+    },
+
+    /**
+     * Lấy remote lock trên previous runner (một lần cho cả run, gọi lại là no-op)
+     */
+    async ensureRemote(peer, { timings } = {}) {
+      if (!config.lockRemote || remoteHost || !peer?.ips?.[0]) return;
+
+      const host = getRemoteLockHost(peer);
+      const end = timings?.start(`remote lock ${peer.hostname || host}`);
+      try {
+        await acquireRemote(config, logger, host, holder, adapters);
+        end?.();
+      } catch (err) {
+        end?.({ status: "failed" });
+        throw err;
+      }
+      remoteHost = host;
+    },
+
+    /**
+     * Nhả mọi lock đang giữ, lỗi chỉ được log (lock stale sẽ bị phá ở lần chạy sau)
+     */
+    releaseAll() {
+      if (remoteHost) {
+        try {
+          adapters.ssh.executeCommandCapture(remoteHost, buildRemoteLockCommand("release", holder, adapters), {
+            sshPath: config.sshPath,
+            logger,
+            silent: true,
+          });
+          logger.debug(`Released remote run lock on ${remoteHost}`);
+        } catch (err) {
+          logger.warn(`Failed to release remote run lock on ${remoteHost}: ${err.message}`);
+        }
+        remoteHost = null;
+      }
+
+      if (localHeld) {
+        try {
+          releaseLocal(config, holder);
+        } catch (err) {
+          logger.warn(`Failed to release local run lock: ${err.message}`);
+        }
+        localHeld = false;
+      }
+    },
+  };
+}
+
+module.exports = {
+  getLocalLockPath,
+  getLocalLockAge,
+  readLocalLock,
+  readRemoteLock,
+  getStaleReason,
+  describeHolder,
+  buildRemoteLockCommand,
+  buildRemoteLockScript,
+  parseRemoteHolder,
+  parseRemoteLockAge,
+  getRemoteLockHost,
+  createRunLock,
+};
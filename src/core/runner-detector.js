@@ -3,20 +3,28 @@
  * Phát hiện runner trước đó trên Tailscale network
  */
 
-const tailscale = require("../adapters/tailscale");
-const ssh = require("../adapters/ssh");
+const { createAdapterContext } = require("../adapters/context");
 const { ValidationError } = require("../utils/errors");
+const CONST = require("../utils/constants");
+const { EVENTS, emit } = require("./sync-events");
 
 /**
  * Parse input
+ * options.timings: collector (utils/timing) để đo từng SSH probe
+ * options.events: emitter của sync session (peer:probe / peer:found / peer:none)
+ * options.adapters: adapter overrides (xem adapters/context.js)
  */
-function parseInput(config, logger) {
+function parseInput(config, logger, options = {}) {
   return {
     tags: String(config.tailscaleTags || "")
       .split(",")
       .map((s) => s.trim())
       .filter(Boolean),
+    profile: config.profile || null,
     sshPath: config.sshPath,
+    timings: options.timings || null,
+    events: options.events || null,
+    adapters: createAdapterContext(options.adapters),
     logger,
   };
 }
@@ -43,6 +51,7 @@ function plan(input) {
   return {
     action: "detect_previous_runner",
     tags: input.tags,
+    profile: input.profile,
   };
 }
 
@@ -51,7 +60,8 @@ function plan(input) {
  * Sử dụng absolute paths để tránh vấn đề với sudo/root user
  */
 function getRunnerWorkDir(targetHost, options) {
-  const { logger, sshPath } = options;
+  const { logger, sshPath, adapters = createAdapterContext() } = options;
+  const { ssh } = adapters;
 
   // Danh sách các path thường gặp, check tuần tự
   const possiblePaths = [
@@ -78,8 +88,9 @@ function getRunnerWorkDir(targetHost, options) {
  * Đọc metadata từ remote host
  */
 function getRemoteMetadata(targetHost, options) {
-  const { logger, sshPath } = options;
-  const metadataPath = "/var/tmp/runner-tailscale-sync-metadata.json";
+  const { logger, sshPath, adapters = createAdapterContext() } = options;
+  const { ssh } = adapters;
+  const metadataPath = CONST.METADATA_FILE;
 
   try {
     // Thử với user runner trước
@@ -112,11 +123,20 @@ function getRemoteMetadata(targetHost, options) {
   }
 }
 
+/**
+ * Peer có thuộc cùng profile (handoff chain) không
+ * Metadata không có field profile (phiên bản cũ / không dùng profile) tương đương profile null
+ */
+function matchesProfile(metadata, profile) {
+  return (metadata?.profile || null) === (profile || null);
+}
+
 /**
  * Kiểm tra xem peer có .runner-data không
  */
 function checkRunnerData(targetHost, options) {
-  const { logger, sshPath } = options;
+  const { logger, sshPath, adapters = createAdapterContext() } = options;
+  const { ssh } = adapters;
 
   // Thử đọc metadata trước
   const metadata = getRemoteMetadata(targetHost, options);
@@ -130,8 +150,13 @@ function checkRunnerData(targetHost, options) {
 
     logger.debug(`Using metadata: ${user}@${targetHost}:${dataDir}`);
 
-    // Check nếu thư mục tồn tại
-    const result = ssh.executeCommandCapture(`${user}@${targetHost}`, `test -d "${dataDir}" && echo "yes"`, { sshPath, logger, silent: true });
+    // Check nếu thư mục tồn tại và không phải data pull dở (runner đó bị cancel giữa chừng)
+    const partialMarker = `${dataDir}/${CONST.TMP_DIR}/${CONST.PARTIAL_SYNC_FILE}`;
+    const result = ssh.executeCommandCapture(`${user}@${targetHost}`, `test -d "${dataDir}" && test ! -f "${partialMarker}" && echo "yes"`, {
+      sshPath,
+      logger,
+      silent: true,
+    });
 
     return result === "yes";
   }
@@ -164,10 +189,17 @@ function checkRunnerData(targetHost, options) {
  * Execute - tìm runner trước đó dựa trên tailscale status --json
  */
 async function execute(planResult, input) {
-  const { logger, sshPath } = input;
+  const { logger, sshPath, timings, events, adapters } = input;
+  const { tailscale, ssh } = adapters;
 
   logger.info("Searching for previous runner on Tailscale network...");
 
+  // Mọi peer đã xét + lý do bị loại / được chọn (debug "tại sao chọn nhầm runner", --simulate)
+  const candidates = new Map();
+  const reject = (key, reason) => {
+    candidates.get(key).reason = reason;
+  };
+
   // Lấy tất cả peers từ tailscale status --json
   const status = tailscale.getStatus(logger);
   if (!status || !status.Peer) {
@@ -175,6 +207,7 @@ async function execute(planResult, input) {
     return {
       found: false,
       peer: null,
+      candidates: [],
     };
   }
 
@@ -185,9 +218,20 @@ async function execute(planResult, input) {
   const matchingPeers = [];
 
   for (const [publicKey, peer] of Object.entries(status.Peer)) {
+    candidates.set(publicKey, {
+      hostname: peer.HostName,
+      ip: peer.TailscaleIPs?.[0] || null,
+      tags: peer.Tags || [],
+      online: Boolean(peer.Online),
+      created: peer.Created || null,
+      selected: false,
+      reason: null,
+    });
+
     // Bỏ qua chính máy hiện tại
     if (selfIPs.some((ip) => peer.TailscaleIPs?.includes(ip))) {
       logger.debug(`Skipping self: ${peer.HostName}`);
+      reject(publicKey, "self");
       continue;
     }
 
@@ -200,12 +244,14 @@ async function execute(planResult, input) {
 
     if (!hasSameTag) {
       logger.debug(`Skipping ${peer.HostName}: no matching tags`);
+      reject(publicKey, `no matching tag (${planResult.tags.join(", ")})`);
       continue;
     }
 
     // Chỉ lấy peer đang online
     if (!peer.Online) {
       logger.debug(`Skipping ${peer.HostName}: offline`);
+      reject(publicKey, "offline");
       continue;
     }
 
@@ -232,6 +278,7 @@ async function execute(planResult, input) {
     return {
       found: false,
       peer: null,
+      candidates: [...candidates.values()],
     };
   }
 
@@ -243,16 +290,21 @@ async function execute(planResult, input) {
     if (!targetHost) {
       peer.accessible = false;
       logger.debug(`Peer ${peer.hostname}: no IP address`);
+      reject(peer.publicKey, "no IP address");
       continue;
     }
 
     logger.debug(`Testing SSH connection to ${targetHost}...`);
+    const endProbe = timings?.start(`ssh probe ${peer.hostname || targetHost}`, { host: targetHost });
     peer.accessible = await Promise.resolve(ssh.checkConnection(targetHost, { logger, sshPath }));
+    endProbe?.({ status: peer.accessible ? "ok" : "failed" });
+    emit(events, EVENTS.PEER_PROBE, { hostname: peer.hostname, ip: targetHost, accessible: peer.accessible });
 
     if (peer.accessible) {
       logger.debug(`Peer ${peer.hostname}: SSH accessible`);
     } else {
       logger.debug(`Peer ${peer.hostname}: SSH not accessible`);
+      reject(peer.publicKey, "SSH not accessible");
     }
   }
 
@@ -263,6 +315,7 @@ async function execute(planResult, input) {
     return {
       found: false,
       peer: null,
+      candidates: [...candidates.values()],
     };
   }
 
@@ -277,11 +330,25 @@ async function execute(planResult, input) {
     }
 
     logger.debug(`Checking .runner-data on ${peer.hostname} (${targetHost})...`);
-    peer.hasData = checkRunnerData(targetHost, { logger, sshPath });
+    const endDataProbe = timings?.start(`data probe ${peer.hostname || targetHost}`, { host: targetHost });
+    peer.hasData = checkRunnerData(targetHost, { logger, sshPath, adapters });
 
     // Lưu metadata vào peer nếu có
     if (peer.hasData) {
-      peer.metadata = getRemoteMetadata(targetHost, { logger, sshPath });
+      peer.metadata = getRemoteMetadata(targetHost, { logger, sshPath, adapters });
+    }
+    endDataProbe?.();
+
+    if (!peer.hasData) {
+      reject(peer.publicKey, "no .runner-data (or partially synced)");
+    }
+
+    // Cô lập theo profile: không nhận runner của chain khác làm previous runner
+    if (peer.hasData && !matchesProfile(peer.metadata, planResult.profile)) {
+      const reason = `profile '${peer.metadata?.profile || "(none)"}' does not match '${planResult.profile || "(none)"}'`;
+      logger.debug(`Skipping ${peer.hostname}: ${reason}`);
+      reject(peer.publicKey, reason);
+      peer.hasData = false;
     }
   }
 
@@ -307,9 +374,13 @@ async function execute(planResult, input) {
     return {
       found: false,
       peer: null,
+      candidates: [...candidates.values()],
     };
   }
 
+  Object.assign(candidates.get(peer.publicKey), { selected: true, reason: "newest Created among peers with data" });
+  peersWithData.slice(1).forEach((item) => reject(item.publicKey, `older than ${peer.hostname || peer.id}`));
+
   logger.success(`Found previous runner: ${peer.hostname || peer.id}`);
   logger.info(`  IP: ${peer.ips[0] || "N/A"}`);
   logger.info(`  DNS: ${peer.dnsName || "N/A"}`);
@@ -319,6 +390,7 @@ async function execute(planResult, input) {
   return {
     found: true,
     peer,
+    candidates: [...candidates.values()],
   };
 }
 
@@ -326,19 +398,23 @@ async function execute(planResult, input) {
  * Report
  */
 function report(result, input) {
-  const { logger } = input;
+  const { logger, events } = input;
 
   if (result.found) {
     logger.success("Previous runner detected");
+    emit(events, EVENTS.PEER_FOUND, { peer: result.peer });
     return {
       success: true,
       previousRunner: result.peer,
+      candidates: result.candidates || [],
     };
   } else {
     logger.info("No previous runner - this is the first runner");
+    emit(events, EVENTS.PEER_NONE, { reason: "no accessible runner with data" });
     return {
       success: true,
       previousRunner: null,
+      candidates: result.candidates || [],
     };
   }
 }
@@ -346,9 +422,9 @@ function report(result, input) {
 /**
  * Main detect function
  */
-async function detectPreviousRunner(config, logger) {
+async function detectPreviousRunner(config, logger, options = {}) {
   // Step 1: Parse Input
-  const input = parseInput(config, logger);
+  const input = parseInput(config, logger, options);
 
   // Step 2: Validate
   validate(input);
@@ -373,4 +449,5 @@ module.exports = {
   getRunnerWorkDir,
   checkRunnerData,
   getRemoteMetadata,
+  matchesProfile,
 };
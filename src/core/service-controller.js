@@ -3,16 +3,64 @@
  * Stop/Start services trên runners qua SSH
  */
 
-const ssh = require("../adapters/ssh");
+const path = require("path");
+const { createAdapterContext } = require("../adapters/context");
+const { NetworkError } = require("../utils/errors");
+const { EVENTS, emit } = require("./sync-events");
+const shutdown = require("./shutdown");
+const { formatDuration } = require("../utils/time");
+const CONST = require("../utils/constants");
+
+/**
+ * Trạng thái của từng service sau stop_remote_services
+ * - stopped: đang chạy và đã dừng
+ * - not_running: không chạy từ trước khi stop
+ * - still_running: vẫn còn sau stop + SIGKILL
+ * - unknown: không xác nhận được (SSH lỗi, hoặc remote không kiểm tra được process - không có pgrep)
+ */
+const SERVICE_STATUS = {
+  STOPPED: "stopped",
+  NOT_RUNNING: "not_running",
+  STILL_RUNNING: "still_running",
+  UNKNOWN: "unknown",
+};
+
+/**
+ * Stop definitions trên previous runner: pidfile tương đối tính theo .runner-data của runner đó (theo metadata),
+ * stop command / check chạy trong project dir của nó
+ */
+function resolveRemoteServices(services, remoteDataDir) {
+  return services.map(({ name, stop, stateful }) => ({
+    name,
+    stop: stop?.pidfile ? { ...stop, pidfile: path.posix.resolve(remoteDataDir, stop.pidfile) } : stop,
+    cwd: path.posix.dirname(remoteDataDir),
+    stateful: Boolean(stateful),
+  }));
+}
+
+/**
+ * Thời gian chờ service thoát sau stop trước khi gửi SIGKILL (stop.grace, mặc định CONST.SERVICE_STOP_GRACE)
+ */
+function getStopGrace(service) {
+  return service.stop?.grace ?? CONST.SERVICE_STOP_GRACE;
+}
 
 /**
  * Parse input
+ * options.events: emitter của sync session (services:stopping / services:stopped)
+ * options.adapters: adapter overrides (xem adapters/context.js)
  */
-function parseInput(config, previousRunner, logger) {
+function parseInput(config, previousRunner, logger, options = {}) {
+  const remoteDataDir = previousRunner?.metadata?.runner?.runnerDataDir || config.runnerDataDir;
+
   return {
     remoteHost: previousRunner?.dnsName || previousRunner?.ips?.[0],
-    services: config.servicesToStop,
+    // [{ name, stop, cwd, stateful }] - xem ssh.buildStopServicesScript
+    services: resolveRemoteServices(config.remoteServices, remoteDataDir),
     sshPath: config.sshPath,
+    stopWait: config.serviceStopWait,
+    events: options.events || null,
+    adapters: createAdapterContext(options.adapters),
     logger,
   };
 }
@@ -42,15 +90,79 @@ function plan(input) {
     action: "stop_remote_services",
     host: input.remoteHost,
     services: input.services,
+    names: input.services.map((service) => service.name),
     sshPath: input.sshPath,
+    // Chờ tối đa stopWait, nhưng luôn đủ để SIGKILL service có grace dài hơn rồi xác nhận lại
+    verifyTimeout: Math.max(input.stopWait, ...input.services.map((service) => getStopGrace(service) + CONST.SERVICE_KILL_WAIT)),
   };
 }
 
+/**
+ * Xác nhận services đã dừng: poll qua SSH tới khi không còn service nào chạy hoặc hết planResult.verifyTimeout,
+ * service còn chạy sau stop grace của nó nhận SIGKILL (một lần)
+ *
+ * @param {{ running, unknown }|null} statesBefore - trạng thái trước khi stop (ssh.getServiceStates, null: không biết)
+ * @returns {Promise<Array<{ name, status, killed, stateful }>>} status: xem SERVICE_STATUS
+ */
+async function verifyServicesStopped(planResult, input, statesBefore) {
+  const { logger, adapters } = input;
+  const { ssh } = adapters;
+  const startedAt = Date.now();
+  const deadline = startedAt + planResult.verifyTimeout;
+  const killed = new Set();
+  let states = null;
+
+  logger.info(`Verifying services stopped (up to ${formatDuration(planResult.verifyTimeout)})...`);
+  for (;;) {
+    shutdown.assertNotShuttingDown("service stop verification");
+    states = ssh.getServiceStates(planResult.host, planResult.services, { logger, sshPath: planResult.sshPath }) ?? states;
+    const running = states?.running;
+    if (running?.length === 0 || Date.now() >= deadline) break;
+
+    // SIGTERM (stop) không đủ: hết grace thì SIGKILL
+    const overdue = planResult.services.filter(
+      (service) => running?.includes(service.name) && !killed.has(service.name) && Date.now() - startedAt >= getStopGrace(service),
+    );
+    if (overdue.length > 0) {
+      logger.warn(`Still running after stop grace - sending SIGKILL: ${overdue.map((service) => service.name).join(", ")}`);
+      if (ssh.killServices(planResult.host, overdue, { logger, sshPath: planResult.sshPath })) {
+        overdue.forEach((service) => killed.add(service.name));
+      }
+    }
+
+    logger.debug(`Still running: ${running ? running.join(", ") : "unknown (SSH failed)"}`);
+    await adapters.process.sleep(Math.min(CONST.SERVICE_POLL_INTERVAL, Math.max(deadline - Date.now(), 0)));
+  }
+
+  const wasRunning = (name) => statesBefore.running.includes(name) || statesBefore.unknown.includes(name);
+  return planResult.services.map((service) => {
+    let status;
+    if (states === null || states.unknown.includes(service.name)) {
+      status = SERVICE_STATUS.UNKNOWN;
+    } else if (states.running.includes(service.name)) {
+      status = SERVICE_STATUS.STILL_RUNNING;
+    } else if (statesBefore && !wasRunning(service.name)) {
+      status = SERVICE_STATUS.NOT_RUNNING;
+    } else {
+      status = SERVICE_STATUS.STOPPED;
+    }
+    return { name: service.name, status, killed: killed.has(service.name), stateful: service.stateful };
+  });
+}
+
+/**
+ * Services (tên) theo status
+ */
+function namesWithStatus(services, ...statuses) {
+  return services.filter((service) => statuses.includes(service.status)).map((service) => service.name);
+}
+
 /**
  * Execute - stop services
  */
 async function execute(planResult, input) {
-  const { logger } = input;
+  const { logger, events, adapters } = input;
+  const { ssh } = adapters;
 
   logger.info(`Stopping services on ${planResult.host}...`);
 
@@ -60,23 +172,72 @@ async function execute(planResult, input) {
     sshPath: planResult.sshPath,
   });
 
+  // Throw để step policy của orchestrator quyết định retry / warn / fail
   if (!connected) {
-    logger.warn(`Cannot connect to ${planResult.host} via SSH - services may still be running`);
-    return {
-      success: false,
-      stoppedServices: [],
-    };
+    throw new NetworkError(`Cannot connect to ${planResult.host} via SSH - services may still be running`);
   }
 
+  // Trạng thái trước khi stop để phân biệt stopped / not_running
+  const statesBefore = ssh.getServiceStates(planResult.host, planResult.services, { logger, sshPath: planResult.sshPath });
+  statesBefore?.byName.forEach((name) => {
+    logger.warn(
+      `${name}: not a systemd unit and no stop.pidfile / stop.match - stopped by matching its name in process command lines, ` +
+        "which cannot be verified reliably (declare services[].stop)",
+    );
+  });
+
   // Stop services
+  shutdown.assertNotShuttingDown("service stop");
+  emit(events, EVENTS.SERVICES_STOPPING, { host: planResult.host, services: planResult.names });
   await ssh.stopServices(planResult.host, planResult.services, {
     logger,
     sshPath: planResult.sshPath,
   });
 
+  const services = await verifyServicesStopped(planResult, input, statesBefore);
+  const stoppedServices = namesWithStatus(services, SERVICE_STATUS.STOPPED, SERVICE_STATUS.NOT_RUNNING);
+  const stillRunning = namesWithStatus(services, SERVICE_STATUS.STILL_RUNNING, SERVICE_STATUS.UNKNOWN);
+  emit(events, EVENTS.SERVICES_STOPPED, { host: planResult.host, services: stoppedServices, stillRunning, statuses: services });
+
+  return {
+    success: true,
+    services,
+    stoppedServices,
+    stillRunning,
+  };
+}
+
+/**
+ * Dry-run - probe SSH (read-only) và in lệnh stop sẽ chạy
+ */
+function reportDryRun(planResult, input) {
+  const { logger, adapters } = input;
+  const { ssh, process: process_adapter } = adapters;
+
+  const reachable = ssh.checkConnection(planResult.host, {
+    logger,
+    sshPath: planResult.sshPath,
+  });
+
+  const command = process_adapter.formatCommand(
+    ssh.buildCommand(planResult.host, ssh.buildStopServicesCommand(planResult.services), planResult.sshPath),
+  );
+
+  logger.info(`[dry-run] Would stop services on ${planResult.host}: ${planResult.names.join(", ")}`);
+  logger.info(`[dry-run]   SSH reachable: ${reachable ? "yes" : "no"}`);
+  logger.info(`[dry-run]   ssh: ${command}`);
+  // Script gửi dạng base64 - in nội dung để đọc được
+  ssh.buildStopServicesScript(planResult.services).split("\n").forEach((line) => logger.info(`[dry-run]     ${line}`));
+  logger.info(`[dry-run]   then verify over SSH for up to ${formatDuration(planResult.verifyTimeout)} (SIGKILL after each stop grace)`);
+
   return {
     success: true,
-    stoppedServices: planResult.services,
+    dryRun: true,
+    reachable,
+    services: [],
+    stoppedServices: [],
+    stillRunning: [],
+    commands: [command],
   };
 }
 
@@ -86,44 +247,56 @@ async function execute(planResult, input) {
 function report(result, input) {
   const { logger } = input;
 
-  if (result.success) {
-    logger.success(`Stopped ${result.stoppedServices.length} services`);
-    return {
-      success: true,
-      stoppedServices: result.stoppedServices,
-    };
-  } else {
-    logger.warn("Failed to stop some services");
-    return {
-      success: false,
-      stoppedServices: [],
-    };
+  result.services.forEach((service) => {
+    const line = `${service.name}: ${service.status}${service.killed ? " (killed)" : ""}`;
+    if (service.status === SERVICE_STATUS.STILL_RUNNING || service.status === SERVICE_STATUS.UNKNOWN) {
+      logger.warn(line);
+    } else {
+      logger.info(line);
+    }
+  });
+  logger.success(`Stopped ${namesWithStatus(result.services, SERVICE_STATUS.STOPPED).length} services`);
+  if (result.stillRunning.length > 0) {
+    logger.warn(`Services not confirmed stopped: ${result.stillRunning.join(", ")}`);
   }
+
+  return {
+    success: true,
+    services: result.services,
+    stoppedServices: result.stoppedServices,
+    stillRunning: result.stillRunning,
+    // true: mọi service đã được xác nhận không còn chạy
+    confirmed: result.stillRunning.length === 0,
+  };
 }
 
 /**
  * Main stop services function
  */
-async function stopRemoteServices(config, previousRunner, logger) {
+async function stopRemoteServices(config, previousRunner, logger, options = {}) {
   if (!previousRunner) {
     logger.info("No previous runner - skipping service stop");
-    return { success: true, stoppedServices: [] };
+    return { success: true, services: [], stoppedServices: [], stillRunning: [] };
   }
 
   // Step 1: Parse Input
-  const input = parseInput(config, previousRunner, logger);
+  const input = parseInput(config, previousRunner, logger, options);
 
   // Step 2: Validate
   const errors = validate(input);
   if (errors.length > 0) {
     // Not critical - just warn
     logger.warn(`Service stop validation: ${errors.join(", ")}`);
-    return { success: true, stoppedServices: [] };
+    return { success: true, services: [], stoppedServices: [], stillRunning: [] };
   }
 
   // Step 3: Plan
   const planResult = plan(input);
 
+  if (config.dryRun) {
+    return reportDryRun(planResult, input);
+  }
+
   // Step 4: Execute
   const execResult = await execute(planResult, input);
 
@@ -132,10 +305,14 @@ async function stopRemoteServices(config, previousRunner, logger) {
 }
 
 module.exports = {
+  SERVICE_STATUS,
   stopRemoteServices,
+  verifyServicesStopped,
+  resolveRemoteServices,
   parseInput,
   validate,
   plan,
   execute,
   report,
+  reportDryRun,
 };
@@ -0,0 +1,133 @@
+/**
+ * core/show-config.js
+ * Hiển thị cấu hình hiệu lực và nguồn của từng giá trị
+ */
+
+const { ValidationError } = require("../utils/errors");
+
+/**
+ * Parse input
+ */
+function parseInput(config, logger) {
+  return {
+    config,
+    logger,
+  };
+}
+
+/**
+ * Validate
+ */
+function validate() {
+  return [];
+}
+
+/**
+ * Plan
+ */
+function plan() {
+  return {
+    action: "show_config",
+  };
+}
+
+/**
+ * Mask secret qua Logger.maskSensitiveData, fallback mask toàn bộ nếu masker không nhận ra
+ */
+function maskValue(value, logger) {
+  if (!value) return "";
+  const str = String(value);
+  const masked = logger.maskSensitiveData(str);
+  return masked === str ? "*".repeat(str.length) : masked;
+}
+
+/**
+ * Format giá trị để hiển thị (array/object → chuỗi ngắn gọn)
+ */
+function formatValue(value) {
+  if (Array.isArray(value)) {
+    return value.map((item) => (typeof item === "object" ? item.name || JSON.stringify(item) : item)).join(", ") || "(empty)";
+  }
+  if (value === "" || value === null || value === undefined) return "(not set)";
+  if (typeof value === "object") {
+    const entries = Object.entries(value);
+    return entries.length > 0 ? entries.map(([key, item]) => `${key}: ${formatValue(item)}`).join("; ") : "(empty)";
+  }
+  return String(value);
+}
+
+/**
+ * Execute - gom settings (đã mask secrets) và derived paths
+ */
+async function execute(planResult, input) {
+  const { config, logger } = input;
+
+  const settings = config.describe().map((setting) => ({
+    ...setting,
+    value: setting.secret ? maskValue(setting.value, logger) : setting.value,
+  }));
+
+  return {
+    settings,
+    paths: config.getDerivedPaths(),
+    errors: config.validate(),
+    warnings: config.warnings,
+  };
+}
+
+/**
+ * Report
+ */
+function report(result, input) {
+  const { logger } = input;
+
+  const keyWidth = Math.max(...result.settings.map((s) => s.key.length));
+  const valueWidth = Math.min(40, Math.max(...result.settings.map((s) => formatValue(s.value).length)));
+
+  logger.info("━━━ Effective Configuration ━━━");
+  for (const setting of result.settings) {
+    const source = setting.envName && ["env", ".env", "file"].includes(setting.source) ? `${setting.source} (${setting.envName})` : setting.source;
+    logger.info(`${setting.key.padEnd(keyWidth)}  ${formatValue(setting.value).padEnd(valueWidth)}  ← ${source}`);
+  }
+
+  logger.info("━━━ Derived Paths ━━━");
+  const pathWidth = Math.max(...Object.keys(result.paths).map((key) => key.length));
+  for (const [key, value] of Object.entries(result.paths)) {
+    logger.info(`${key.padEnd(pathWidth)}  ${Array.isArray(value) ? formatValue(value) : value || "(none)"}`);
+  }
+
+  if (result.errors.length > 0) {
+    logger.warn(`Configuration problems:\n  - ${result.errors.join("\n  - ")}`);
+  }
+
+  return {
+    success: result.errors.length === 0,
+    settings: result.settings,
+    paths: result.paths,
+    errors: result.errors,
+    warnings: result.warnings,
+  };
+}
+
+/**
+ * Main show config function
+ */
+async function showConfig(config, logger) {
+  const input = parseInput(config, logger);
+  const errors = validate(input);
+  if (errors.length > 0) {
+    throw new ValidationError(`Validation failed: ${errors.join(", ")}`);
+  }
+  const planResult = plan(input);
+  const execResult = await execute(planResult, input);
+  return report(execResult, input);
+}
+
+module.exports = {
+  showConfig,
+  parseInput,
+  validate,
+  plan,
+  execute,
+  report,
+};
@@ -0,0 +1,122 @@
+/**
+ * core/shutdown.js
+ * Dừng có kiểm soát khi job bị cancel (SIGINT / SIGTERM):
+ * - Dừng child process groups (rsync, scp, hooks...) đang chạy
+ * - Chạy cleanup tasks đã đăng ký (nhả run lock...) theo thứ tự ngược
+ * - Tùy chọn tailscale down / logout (config.onCancelTailscale)
+ * - Exit với CONST.EXIT_INTERRUPTED
+ *
+ * Data đang pull dở được đánh dấu bằng partial-sync marker (xem data-sync.js), không rollback.
+ */
+
+const { createAdapterContext } = require("../adapters/context");
+const { InterruptedError } = require("../utils/errors");
+const CONST = require("../utils/constants");
+
+const SIGNALS = ["SIGINT", "SIGTERM"];
+
+// { name, fn(signal) } - đăng ký bởi orchestrator trong lúc chạy
+const cleanupTasks = [];
+let shutdownPromise = null;
+
+/**
+ * Đăng ký cleanup task chạy khi shutdown
+ *
+ * @returns {Function} hủy đăng ký (gọi khi task không còn cần nữa)
+ */
+function addCleanup(name, fn) {
+  const task = { name, fn };
+  cleanupTasks.push(task);
+  return () => {
+    const index = cleanupTasks.indexOf(task);
+    if (index !== -1) cleanupTasks.splice(index, 1);
+  };
+}
+
+function isShuttingDown() {
+  return shutdownPromise !== null;
+}
+
+/**
+ * Throw InterruptedError nếu đang shutdown - gọi trước khi bắt đầu việc mới (step kế tiếp...)
+ */
+function assertNotShuttingDown(what) {
+  if (shutdownPromise) {
+    throw new InterruptedError(`Interrupted - ${what} was not started`);
+  }
+}
+
+function withTimeout(promise, timeoutMs, label) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Chạy toàn bộ shutdown sequence (không exit)
+ */
+async function shutdown(signal, config, logger, adapters = createAdapterContext()) {
+  logger.warn(`Received ${signal} - shutting down (press Ctrl+C again to exit immediately)`);
+
+  await adapters.process.terminateChildren({ logger, graceMs: CONST.SHUTDOWN_KILL_GRACE });
+
+  for (const task of [...cleanupTasks].reverse()) {
+    try {
+      logger.debug(`Cleanup: ${task.name}`);
+      await withTimeout(Promise.resolve().then(() => task.fn(signal)), CONST.SHUTDOWN_CLEANUP_TIMEOUT, `Cleanup '${task.name}'`);
+    } catch (err) {
+      logger.warn(`Cleanup '${task.name}' failed: ${err.message}`);
+    }
+  }
+
+  if (config.tailscaleEnable && !config.dryRun && config.onCancelTailscale !== "none") {
+    try {
+      if (config.onCancelTailscale === "logout") {
+        adapters.tailscale.cleanup(logger, config);
+      } else {
+        adapters.tailscale.down(logger, config);
+      }
+    } catch (err) {
+      logger.warn(`Failed to leave the tailnet: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * Cài handler cho SIGINT / SIGTERM (CLI). Signal thứ hai exit ngay không chờ cleanup.
+ *
+ * @param {object} options - { adapters, exit (mặc định process.exit), beforeExit(error) }
+ * @returns {Function} gỡ handlers
+ */
+function installSignalHandlers(config, logger, options = {}) {
+  const { adapters = createAdapterContext(), exit = process.exit, beforeExit } = options;
+
+  const handler = (signal) => {
+    if (shutdownPromise) {
+      logger.warn(`Received ${signal} again - exiting without cleanup`);
+      exit(CONST.EXIT_INTERRUPTED);
+      return;
+    }
+
+    const error = new InterruptedError(`Interrupted by ${signal}`, signal);
+    shutdownPromise = shutdown(signal, config, logger, adapters)
+      .catch((err) => logger.error(`Shutdown failed: ${err.message}`))
+      .then(() => {
+        beforeExit?.(error);
+        exit(CONST.EXIT_INTERRUPTED);
+      });
+  };
+
+  SIGNALS.forEach((signal) => process.on(signal, handler));
+  return () => SIGNALS.forEach((signal) => process.removeListener(signal, handler));
+}
+
+module.exports = {
+  addCleanup,
+  isShuttingDown,
+  assertNotShuttingDown,
+  shutdown,
+  installSignalHandlers,
+};
@@ -5,6 +5,9 @@
 
 const tailscale = require("../adapters/tailscale");
 const fs_adapter = require("../adapters/fs");
+const runLock = require("./run-lock");
+const { getPartialSyncMarker } = require("./data-sync");
+const { listLocalServices } = require("./local-services");
 
 /**
  * Parse input
@@ -14,6 +17,9 @@ function parseInput(config, logger) {
     tailscaleEnable: config.tailscaleEnable,
     tailscaleTags: config.tailscaleTags,
     runnerDataDir: config.runnerDataDir,
+    lockRemote: config.lockRemote,
+    sshPath: config.sshPath,
+    config,
     logger,
   };
 }
@@ -45,6 +51,8 @@ async function execute(planResult, input) {
     peers: [],
     peerCount: 0,
     runnerData: null,
+    lock: { local: runLock.readLocalLock(input.config), remote: [] },
+    localServices: listLocalServices(input.config),
   };
 
   if (input.tailscaleEnable) {
@@ -57,10 +65,21 @@ async function execute(planResult, input) {
     }
   }
 
+  // Remote run lock trên các peer cùng tag (chỉ peer đang online)
+  if (input.lockRemote) {
+    for (const peer of result.peers.filter((item) => item.online && item.ips?.[0])) {
+      const holder = runLock.readRemoteLock(peer.ips[0], { sshPath: input.sshPath, logger });
+      if (holder) {
+        result.lock.remote.push({ hostname: peer.hostname, ip: peer.ips[0], holder });
+      }
+    }
+  }
+
   if (fs_adapter.exists(input.runnerDataDir)) {
     result.runnerData = {
       path: input.runnerDataDir,
       size: fs_adapter.getDirSize(input.runnerDataDir),
+      partial: getPartialSyncMarker(input.config),
     };
   }
 
@@ -102,11 +121,46 @@ function report(result, input) {
   if (result.runnerData) {
     logger.info(`Directory: ${result.runnerData.path}`);
     logger.info(`Size: ${fs_adapter.formatBytes(result.runnerData.size)}`);
+    if (result.runnerData.partial) {
+      const { source, startedAt } = result.runnerData.partial;
+      logger.warn(`Partially synced: pull from ${source || "unknown"} started ${startedAt || "?"} did not finish`);
+    }
   } else {
     logger.warn(`Directory not found: ${input.runnerDataDir}`);
   }
 
-  return { success: true };
+  logger.info("━━━ Run Lock ━━━");
+  if (result.lock.local) {
+    const stale = runLock.getStaleReason(result.lock.local.lockId ? result.lock.local : null, input.config.lockStaleAfter, {
+      local: true,
+      ageMs: runLock.getLocalLockAge(input.config),
+    });
+    logger.info(`Local: held by ${runLock.describeHolder(result.lock.local)}${stale ? ` - stale: ${stale}` : ""}`);
+  } else {
+    logger.info("Local: free");
+  }
+  result.lock.remote.forEach((entry) => {
+    logger.info(`Remote ${entry.hostname} (${entry.ip}): held by ${runLock.describeHolder(entry.holder)}`);
+  });
+
+  if (result.localServices.length > 0) {
+    logger.info("━━━ Local Services ━━━");
+    result.localServices.forEach((state) => {
+      const status = state.running ? `running (pid ${state.pid})` : state.stale ? `stopped (stale pid ${state.pid})` : "stopped";
+      logger.info(`${state.name}: ${status} - log ${state.logFile}`);
+    });
+  }
+
+  return {
+    success: true,
+    tailscaleEnable: input.tailscaleEnable,
+    tailscale: result.tailscale,
+    peers: result.peers,
+    peerCount: result.peerCount,
+    runnerData: result.runnerData,
+    lock: result.lock,
+    localServices: result.localServices,
+  };
 }
 
 /**
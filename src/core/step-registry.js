@@ -0,0 +1,152 @@
+/**
+ * core/step-registry.js
+ * Registry các step của sync orchestrator + hooks before:<step> / after:<step>
+ *
+ * Step definition:
+ *   {
+ *     name: "migrate_db",
+ *     run: async ({ config, logger, results, timings, events, adapters, lock, budget }) => ({ success: true }),
+ *                                    // budget: thời gian còn lại của step khi có --deadline (null nếu không)
+ *     resultKey: "migrateDb",        // key trong results (mặc định: name)
+ *     dependsOn: ["pull_data"],      // dùng cho --only / --skip
+ *     enabled: (config) => true,     // mặc định: luôn bật
+ *   }
+ */
+
+const { ValidationError } = require("../utils/errors");
+
+const HOOK_EVENT_PATTERN = /^(before|after):(.+)$/;
+
+/**
+ * Parse tên hook event ("before:pull_data") → { phase, step }, null nếu sai format
+ */
+function parseHookEvent(event) {
+  const match = String(event).match(HOOK_EVENT_PATTERN);
+  return match ? { phase: match[1], step: match[2] } : null;
+}
+
+function normalizeStep(definition) {
+  if (!definition || typeof definition.name !== "string" || !definition.name.trim()) {
+    throw new ValidationError("Step definition requires a name");
+  }
+  if (typeof definition.run !== "function") {
+    throw new ValidationError(`Step '${definition.name}' requires a run() function`);
+  }
+
+  return {
+    resultKey: definition.name,
+    dependsOn: [],
+    enabled: () => true,
+    ...definition,
+  };
+}
+
+/**
+ * Tạo registry mới, khởi tạo với danh sách step có sẵn
+ *
+ * @param {Array} definitions - step definitions theo thứ tự chạy
+ */
+function createStepRegistry(definitions = []) {
+  const steps = [];
+  const hooks = new Map();
+
+  const indexOf = (name) => steps.findIndex((step) => step.name === name);
+
+  const registry = {
+    /**
+     * Đăng ký step mới
+     * @param {object} definition
+     * @param {object} position - { before: "<step>" } | { after: "<step>" } (mặc định: cuối danh sách)
+     */
+    registerStep(definition, position = {}) {
+      const step = normalizeStep(definition);
+
+      if (indexOf(step.name) !== -1) {
+        throw new ValidationError(`Step '${step.name}' is already registered`);
+      }
+      if (position.before && position.after) {
+        throw new ValidationError(`Step '${step.name}': use either 'before' or 'after', not both`);
+      }
+
+      const anchor = position.before || position.after;
+      if (!anchor) {
+        steps.push(step);
+        return registry;
+      }
+
+      const anchorIndex = indexOf(anchor);
+      if (anchorIndex === -1) {
+        throw new ValidationError(`Cannot insert '${step.name}' ${position.before ? "before" : "after"} unknown step '${anchor}'`);
+      }
+      steps.splice(position.before ? anchorIndex : anchorIndex + 1, 0, step);
+      return registry;
+    },
+
+    /**
+     * Gỡ step (ví dụ để thay bằng bản custom)
+     */
+    unregisterStep(name) {
+      const index = indexOf(name);
+      if (index !== -1) {
+        steps.splice(index, 1);
+      }
+      return registry;
+    },
+
+    /**
+     * Gắn hook: fn(results, { config, logger, step, event })
+     */
+    addHook(event, fn) {
+      if (!parseHookEvent(event)) {
+        throw new ValidationError(`Invalid hook event '${event}' (expected before:<step> or after:<step>)`);
+      }
+      if (typeof fn !== "function") {
+        throw new ValidationError(`Hook '${event}' must be a function`);
+      }
+      if (!hooks.has(event)) {
+        hooks.set(event, []);
+      }
+      hooks.get(event).push(fn);
+      return registry;
+    },
+
+    getHooks(event) {
+      return hooks.get(event) || [];
+    },
+
+    getHookEvents() {
+      return [...hooks.keys()];
+    },
+
+    getStep(name) {
+      return steps[indexOf(name)] || null;
+    },
+
+    list() {
+      return [...steps];
+    },
+
+    names() {
+      return steps.map((step) => step.name);
+    },
+
+    /**
+     * Toàn bộ dependencies (đệ quy) của một step
+     */
+    getDependencies(name, seen = new Set()) {
+      const step = registry.getStep(name);
+      if (!step || seen.has(name)) return [];
+      seen.add(name);
+      return step.dependsOn.flatMap((dep) => [dep, ...registry.getDependencies(dep, seen)]);
+    },
+  };
+
+  definitions.forEach((definition) => registry.registerStep(definition));
+
+  return registry;
+}
+
+module.exports = {
+  createStepRegistry,
+  parseHookEvent,
+};
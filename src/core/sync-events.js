@@ -0,0 +1,53 @@
+/**
+ * core/sync-events.js
+ * Tên event + payload của event API (xem sync-session.js); core modules phát event qua emit()
+ */
+
+/**
+ * Tên event và payload (mọi payload đều có `timestamp`)
+ *
+ * Lưu ý: không có event "error" (EventEmitter throw nếu không có listener) - dùng run:fail / step:fail
+ */
+const EVENTS = {
+  RUN_START: "run:start", // { steps, dryRun, profile }
+  RUN_COMPLETE: "run:complete", // { result, durationMs }
+  RUN_FAIL: "run:fail", // { error, results }
+
+  STEP_START: "step:start", // { step, maxAttempts }
+  STEP_RETRY: "step:retry", // { step, attempt, maxAttempts, delayMs, error }
+  STEP_COMPLETE: "step:complete", // { step, status, attempts, durationMs, result }
+  STEP_FAIL: "step:fail", // { step, error, attempts, onError, durationMs }
+  STEP_SKIP: "step:skip", // { step, status, reason, resumed }
+
+  TAILSCALE_CONNECTED: "tailscale:connected", // { ip, hostname }
+
+  PEER_PROBE: "peer:probe", // { hostname, ip, accessible }
+  PEER_FOUND: "peer:found", // { peer }
+  PEER_NONE: "peer:none", // { reason }
+
+  PULL_START: "pull:start", // { source, destination, method, phase }
+  PULL_PROGRESS: "pull:progress", // { method, file, bytes, percent, rate, eta, filesTransferred, filesRemaining, filesTotal }
+  PULL_FALLBACK: "pull:fallback", // { method: "scp", error, phase }
+  PULL_COMPLETE: "pull:complete", // { method, phase, transferredBytes, bytes, durationMs, bytesPerSec, skipped }
+
+  SERVICES_STOPPING: "services:stopping", // { host, services }
+  SERVICES_STOPPED: "services:stopped", // { host, services, stillRunning, statuses: [{ name, status, killed, stateful }] }
+  SERVICES_STARTED: "services:started", // { services: [{ name, pid }], failed } - local services trên runner này
+  SERVICES_HEALTH: "services:health", // { services: [{ name, url, healthy }] } - health check trên runner này
+
+  PUSH_START: "push:start", // { branch }
+  PUSH_COMPLETE: "push:complete", // { branch, pushed, noChanges }
+};
+
+/**
+ * Phát event nếu có emitter - dùng trong core modules (events là optional ở mọi nơi)
+ */
+function emit(events, name, payload = {}) {
+  if (!events) return;
+  events.emit(name, { ...payload, timestamp: new Date().toISOString() });
+}
+
+module.exports = {
+  EVENTS,
+  emit,
+};
@@ -3,22 +3,235 @@
  * Điều phối toàn bộ quy trình sync
  */
 
-const tailscale = require("../adapters/tailscale");
-const git = require("../adapters/git");
-const fs_adapter = require("../adapters/fs");
+const { createAdapterContext } = require("../adapters/context");
+const { createSimulationAdapters } = require("../adapters/simulation");
 const runnerDetector = require("./runner-detector");
 const dataSync = require("./data-sync");
 const serviceController = require("./service-controller");
-const { getTimestamp } = require("../utils/time");
-const { ValidationError, ProcessError } = require("../utils/errors");
+const localServices = require("./local-services");
+const healthCheck = require("./health-check");
+const path = require("path");
+const { createStepRegistry, parseHookEvent } = require("./step-registry");
+const runJournal = require("./run-journal");
+const { createRunLock } = require("./run-lock");
+const shutdown = require("./shutdown");
+const { createRunBudget, createStepBudget, withStepBudget } = require("./run-budget");
+const { EVENTS, emit } = require("./sync-events");
+const { getTimestamp, formatDuration } = require("../utils/time");
+const { createTimings, formatRate, formatTimingTable } = require("../utils/timing");
+const { ValidationError, ProcessError, SyncError, InterruptedError } = require("../utils/errors");
+const CONST = require("../utils/constants");
+
+const METADATA_FILE = CONST.METADATA_FILE;
+
+/**
+ * Policy mặc định của một step: chạy 1 lần, lỗi thì dừng cả workflow
+ * backoff: delay trước lần thử lại đầu tiên (nhân đôi sau mỗi lần), timeout: 0 = không giới hạn
+ */
+const DEFAULT_STEP_POLICY = {
+  attempts: 1,
+  backoff: 0,
+  timeout: 0,
+  onError: "fail",
+};
+
+/**
+ * Built-in steps theo thứ tự chạy
+ * pull/stop/push cần peer từ bước detect (dependsOn dùng cho --only / --skip)
+ */
+const BUILTIN_STEPS = [
+  {
+    name: "setup_directories",
+    resultKey: "setupDirs",
+    run: ({ config, logger, adapters }) => setupDirectories(config, logger, { adapters }),
+  },
+  {
+    name: "connect_tailscale",
+    resultKey: "tailscale",
+    enabled: (config) => config.tailscaleEnable,
+    run: ({ config, logger, timings, events, adapters, budget }) => connectTailscale(config, logger, { timings, events, adapters, budget }),
+  },
+  {
+    name: "detect_previous_runner",
+    resultKey: "detection",
+    enabled: (config) => config.tailscaleEnable,
+    run: async ({ config, logger, timings, events, adapters }) => {
+      const detection = await runnerDetector.detectPreviousRunner(config, logger, { timings, events, adapters });
+      if (!detection?.previousRunner) {
+        logger.info("No previous runner detected - skipping pull/stop/push");
+      }
+      return detection;
+    },
+  },
+  {
+    name: "pull_data",
+    resultKey: "pullData",
+    dependsOn: ["detect_previous_runner"],
+    enabled: (config) => config.tailscaleEnable,
+    run: async ({ config, logger, results, timings, events, adapters, lock }) => {
+      if (!results.detection?.previousRunner) {
+        logger.info("Skipping pull - no previous runner");
+        return { success: true, skipped: true };
+      }
+      await lock?.ensureRemote(results.detection.previousRunner, { timings });
+      // Two-phase: pass này là pre-copy khi services còn chạy, final_sync lấy phần thay đổi sau khi stop
+      const phase = config.twoPhase ? dataSync.PHASES.PRE_COPY : dataSync.PHASES.FULL;
+      const pulled = await dataSync.pullData(config, results.detection.previousRunner, logger, { timings, events, adapters, phase });
+      lock?.restoreLocal();
+      return pulled;
+    },
+  },
+  {
+    // Gate "runner mới đã phục vụ": services có health (không stateful) phải healthy trước khi stop runner cũ
+    // Stateful services cần data cuối nên chỉ được kiểm tra sau start_local_services
+    name: "check_services_health",
+    resultKey: "servicesHealth",
+    dependsOn: ["detect_previous_runner"],
+    enabled: (config) => config.tailscaleEnable && getGatedServices(config).length > 0,
+    run: async ({ config, logger, results, events, adapters, budget }) => {
+      if (!results.detection?.previousRunner) {
+        logger.info("Skipping health gate - no previous runner");
+        return { success: true, skipped: true };
+      }
+      const names = getGatedServices(config).map((service) => service.name);
+      // Local services được start trước để kiểm tra - start_local_services bỏ qua service đang chạy
+      const toStart = config.localServices.filter((service) => service.autoStart && names.includes(service.name));
+      if (toStart.length > 0) {
+        await localServices.manageLocalServices(config, logger, {
+          action: "start",
+          names: toStart.map((service) => service.name),
+          events,
+          adapters,
+          budget,
+        });
+      }
+      return healthCheck.checkServicesHealth(config, logger, { names, events, adapters, budget });
+    },
+  },
+  {
+    name: "stop_remote_services",
+    resultKey: "stopServices",
+    dependsOn: ["detect_previous_runner"],
+    enabled: (config) => config.tailscaleEnable,
+    // SSH hop chập chờn không được làm fail job khi data đã sync xong
+    policy: { attempts: 3, backoff: 2000, onError: "warn" },
+    run: async ({ config, logger, results, timings, events, adapters, lock }) => {
+      if (!results.detection?.previousRunner) {
+        logger.info("Skipping service stop - no previous runner");
+        return { success: true, skipped: true };
+      }
+      // Đã giữ từ pull_data, trừ khi pull bị --skip
+      await lock?.ensureRemote(results.detection.previousRunner, { timings });
+      return serviceController.stopRemoteServices(config, results.detection.previousRunner, logger, { events, adapters });
+    },
+  },
+  {
+    name: "final_sync",
+    resultKey: "finalSync",
+    dependsOn: ["detect_previous_runner"],
+    enabled: (config) => config.tailscaleEnable && config.twoPhase,
+    run: async ({ config, logger, results, timings, events, adapters, lock }) => {
+      if (!results.detection?.previousRunner) {
+        logger.info("Skipping final sync - no previous runner");
+        return { success: true, skipped: true };
+      }
+      if (!config.dryRun) {
+        assertStatefulServicesStopped(config, results.stopServices, logger);
+      }
+      await lock?.ensureRemote(results.detection.previousRunner, { timings });
+      const pulled = await dataSync.pullData(config, results.detection.previousRunner, logger, {
+        timings,
+        events,
+        adapters,
+        phase: dataSync.PHASES.FINAL,
+      });
+      lock?.restoreLocal();
+      return pulled;
+    },
+  },
+  {
+    // Services khai báo trong config file (services[].command, start != false) - chạy cả khi không có previous runner
+    name: "start_local_services",
+    resultKey: "startServices",
+    enabled: (config) => config.localServices.some((service) => service.autoStart),
+    run: ({ config, logger, events, adapters, budget }) =>
+      localServices.manageLocalServices(config, logger, {
+        action: "start",
+        names: config.localServices.filter((service) => service.autoStart).map((service) => service.name),
+        events,
+        adapters,
+        budget,
+      }),
+  },
+  {
+    name: "push_to_git",
+    resultKey: "pushGit",
+    dependsOn: ["detect_previous_runner"],
+    enabled: (config) => config.gitEnabled,
+    run: ({ config, logger, results, timings, events, adapters }) => {
+      if (!results.detection?.previousRunner) {
+        logger.info("Skipping git push - no previous runner");
+        return { success: true, skipped: true };
+      }
+      return pushToGit(config, logger, { timings, events, adapters });
+    },
+  },
+];
+
+/**
+ * Services kiểm tra ở health gate trước stop_remote_services: có health, không stateful
+ */
+function getGatedServices(config) {
+  return config.services.filter((service) => service.health && !service.stateful);
+}
+
+/**
+ * Key trong `results` tương ứng với từng built-in step
+ */
+const STEP_RESULT_KEYS = Object.fromEntries(BUILTIN_STEPS.map((step) => [step.name, step.resultKey]));
+
+/**
+ * Các step phải chạy trước
+ */
+const STEP_DEPENDENCIES = Object.fromEntries(BUILTIN_STEPS.filter((step) => step.dependsOn).map((step) => [step.name, step.dependsOn]));
+
+const STEP_NAMES = Object.keys(STEP_RESULT_KEYS);
+
+/**
+ * Registry mặc định - library users đăng ký step/hook tại đây
+ */
+const registry = createRegistry();
+
+/**
+ * Tạo registry riêng (đã có built-in steps), ví dụ để chạy song song nhiều cấu hình
+ */
+function createRegistry() {
+  return createStepRegistry(BUILTIN_STEPS);
+}
+
+/**
+ * Xác định trạng thái step từ kết quả trả về
+ */
+function getStepStatus(stepResult) {
+  if (stepResult?.skipped) return "skipped";
+  if (stepResult?.success === false) return "warning";
+  return "completed";
+}
 
 /**
  * Parse input
+ * options: { registry, events (emitter của sync session, xem sync-events.js), adapters (xem adapters/context.js) }
+ * --simulate: adapters trả lời từ fixtures (options.adapters vẫn được ưu tiên)
  */
-function parseInput(config, logger) {
+function parseInput(config, logger, options = {}) {
+  const overrides = config.simulate ? { ...createSimulationAdapters(config.simulate), ...options.adapters } : options.adapters;
+
   return {
     config,
     logger,
+    registry: options.registry || registry,
+    events: options.events || null,
+    adapters: createAdapterContext(overrides),
   };
 }
 
@@ -26,7 +239,47 @@ function parseInput(config, logger) {
  * Validate
  */
 function validate(input) {
-  const errors = input.config.validate();
+  const { config, registry: stepRegistry = registry } = input;
+  const errors = config.validate();
+  const stepNames = stepRegistry.names();
+
+  for (const [label, names] of [
+    ["--only", config.onlySteps],
+    ["--skip", config.skipSteps],
+  ]) {
+    const unknown = (names || []).filter((name) => !stepNames.includes(name));
+    if (unknown.length > 0) {
+      errors.push(`Unknown step(s) in ${label}: ${unknown.join(", ")} (known: ${stepNames.join(", ")})`);
+    }
+  }
+
+  for (const step of stepRegistry.list()) {
+    const unknown = step.dependsOn.filter((dep) => !stepNames.includes(dep));
+    if (unknown.length > 0) {
+      errors.push(`Step '${step.name}' depends on unknown step(s): ${unknown.join(", ")}`);
+    }
+  }
+
+  const unknownPolicies = Object.keys(config.stepPolicies || {}).filter((name) => name !== "*" && !stepNames.includes(name));
+  if (unknownPolicies.length > 0) {
+    errors.push(`Policy for unknown step(s): ${unknownPolicies.join(", ")}`);
+  }
+
+  const unknownReserves = Object.keys(config.deadlineReserves || {}).filter((name) => !stepNames.includes(name));
+  if (unknownReserves.length > 0) {
+    errors.push(`Deadline reserve for unknown step(s): ${unknownReserves.join(", ")}`);
+  }
+
+  const hookEvents = [...stepRegistry.getHookEvents(), ...Object.keys(config.hooks || {})];
+  for (const event of new Set(hookEvents)) {
+    const parsed = parseHookEvent(event);
+    if (!parsed) {
+      errors.push(`Invalid hook event '${event}' (expected before:<step> or after:<step>)`);
+    } else if (!stepNames.includes(parsed.step)) {
+      errors.push(`Hook '${event}' refers to unknown step '${parsed.step}'`);
+    }
+  }
+
   if (errors.length > 0) {
     throw new ValidationError(`Validation failed:\n  - ${errors.join("\n  - ")}`);
   }
@@ -36,98 +289,404 @@ function validate(input) {
  * Plan - xác định các bước cần thực hiện
  */
 function plan(input) {
-  const { config } = input;
+  const { config, logger, registry: stepRegistry = registry } = input;
+
+  const steps = stepRegistry.list().map((step) => ({ name: step.name, enabled: Boolean(step.enabled(config)) }));
 
   return {
-    steps: [
-      { name: "setup_directories", enabled: true },
-      { name: "connect_tailscale", enabled: config.tailscaleEnable },
-      { name: "detect_previous_runner", enabled: config.tailscaleEnable },
-      { name: "pull_data", enabled: config.tailscaleEnable },
-      { name: "stop_remote_services", enabled: config.tailscaleEnable },
-      { name: "push_to_git", enabled: config.gitEnabled },
-    ],
+    steps: applyStepSelection(steps, config, logger, stepRegistry),
+    // --resume: journal của run trước (cùng máy, chưa hoàn tất)
+    resumeFrom: config.resume ? runJournal.loadResumable(config, logger) : null,
   };
 }
 
+/**
+ * Áp dụng --only / --skip lên danh sách step
+ * - --only: chỉ chạy các step được chọn + dependencies của chúng
+ * - --skip: bỏ các step được chọn, lỗi nếu step còn lại cần đến nó
+ */
+function applyStepSelection(steps, config, logger, stepRegistry = registry) {
+  const only = config.onlySteps || [];
+  const skip = config.skipSteps || [];
+
+  if (only.length === 0 && skip.length === 0) {
+    return steps;
+  }
+
+  const selected = new Set(only.length > 0 ? only : steps.map((step) => step.name));
+
+  // Tự động thêm dependencies cho --only
+  for (const name of only) {
+    for (const dep of stepRegistry.getDependencies(name)) {
+      if (!selected.has(dep)) {
+        logger.info(`Including step '${dep}' (required by '${name}')`);
+        selected.add(dep);
+      }
+    }
+  }
+
+  skip.forEach((name) => selected.delete(name));
+
+  // Step còn lại không được phụ thuộc vào step đã bị skip
+  for (const name of selected) {
+    const missing = stepRegistry.getDependencies(name).filter((dep) => !selected.has(dep));
+    if (missing.length > 0) {
+      throw new ValidationError(`Step '${name}' requires '${missing.join("', '")}' which is skipped`);
+    }
+  }
+
+  return steps.map((step) => {
+    if (selected.has(step.name)) {
+      return step;
+    }
+    return {
+      ...step,
+      enabled: false,
+      reason: skip.includes(step.name) ? "skipped by --skip" : "not selected by --only",
+    };
+  });
+}
+
 async function execute(planResult, input) {
-  const { config, logger } = input;
-  const results = {};
+  const { config, logger, registry: stepRegistry = registry, events, adapters, lock = null, budget: runBudget = createRunBudget(config) } = input;
+  const { resumeFrom } = planResult;
+  // Thời gian các thao tác con (tailscale wait, SSH probe, rsync, git push...) - xem utils/timing
+  const timings = createTimings();
+  const results = { steps: [], hooks: [], timings: timings.list() };
+  const runStartedAt = Date.now();
+  // Set khi một step lỗi với onError: skip-rest
+  let skipRestReason = null;
+
+  // Journal ghi sau mỗi lần step đổi trạng thái (không ghi khi dry-run)
+  const journal = config.dryRun ? null : runJournal.create(config, resumeFrom);
+  if (journal) {
+    results.journal = { path: runJournal.getJournalPath(config), runId: journal.runId, resumedFrom: journal.resumedFrom };
+  }
+  const track = (name, patch) => {
+    if (!journal) return;
+    try {
+      runJournal.recordStep(journal, name, patch);
+      runJournal.save(config, journal, results);
+    } catch (err) {
+      logger.warn(`Failed to write run journal: ${err.message}`);
+    }
+  };
+  const record = (entry) => {
+    results.steps.push(entry);
+    track(entry.name, entry);
+  };
+  // --deadline: tổng budget / phần còn lại / step bị bỏ qua vì hết giờ
+  const recordDeadline = () => {
+    if (!runBudget) return;
+    results.deadline = {
+      deadlineMs: runBudget.deadlineMs,
+      remainingMs: runBudget.remaining(),
+      skippedSteps: results.steps.filter((entry) => entry.deadline).map((entry) => entry.name),
+    };
+  };
+  const finishJournal = (status) => {
+    if (!journal) return;
+    try {
+      runJournal.finish(config, journal, status, results);
+    } catch (err) {
+      logger.warn(`Failed to write run journal: ${err.message}`);
+    }
+  };
+
+  emit(events, EVENTS.RUN_START, {
+    steps: planResult.steps.filter((step) => step.enabled).map((step) => step.name),
+    dryRun: Boolean(config.dryRun),
+    profile: config.profile || null,
+  });
 
-  for (const step of planResult.steps) {
+  for (const [index, step] of planResult.steps.entries()) {
     if (!step.enabled) {
-      logger.debug(`Skipping step: ${step.name}`);
+      logger.debug(`Skipping step: ${step.name}${step.reason ? ` (${step.reason})` : ""}`);
+      record({ name: step.name, status: "disabled", ...(step.reason && { reason: step.reason }) });
+      emit(events, EVENTS.STEP_SKIP, { step: step.name, status: "disabled", reason: step.reason || null, resumed: false });
+      continue;
+    }
+
+    if (skipRestReason) {
+      logger.info(`Skipping step: ${step.name} (${skipRestReason})`);
+      // not_run (không phải skipped): step chưa từng chạy, --resume phải chạy lại
+      record({ name: step.name, status: "not_run", reason: skipRestReason });
+      emit(events, EVENTS.STEP_SKIP, { step: step.name, status: "not_run", reason: skipRestReason, resumed: false });
+      continue;
+    }
+
+    // Job bị cancel: không bắt đầu step mới (shutdown handler đang dọn dẹp)
+    if (shutdown.isShuttingDown()) {
+      const err = new InterruptedError(`Interrupted - step ${step.name} was not started`);
+      results.durationMs = Date.now() - runStartedAt;
+      err.results = results;
+      throw err;
+    }
+
+    const definition = stepRegistry.getStep(step.name);
+
+    // --resume: dùng lại output (kể cả peer đã chọn) của step đã xong ở run trước
+    const resumed = runJournal.getResumableStep(resumeFrom, step.name);
+    if (resumed) {
+      logger.info(`Skipping step: ${step.name} (${resumed.status} in run ${resumeFrom.runId})`);
+      results[definition.resultKey] = resumeFrom.outputs?.[definition.resultKey];
+      record({
+        name: step.name,
+        status: resumed.status,
+        attempts: resumed.attempts,
+        maxAttempts: resumed.maxAttempts,
+        resumed: true,
+      });
+      emit(events, EVENTS.STEP_SKIP, {
+        step: step.name,
+        status: resumed.status,
+        reason: `${resumed.status} in run ${resumeFrom.runId}`,
+        resumed: true,
+      });
+      continue;
+    }
+
+    // --deadline: step không còn đủ thời gian (sau khi trừ reserve của step sau) bị bỏ qua thay vì bị CI kill giữa chừng
+    const laterSteps = planResult.steps.slice(index + 1).filter((later) => later.enabled).map((later) => later.name);
+    const { budget: stepBudget, skipReason: deadlineReason } = runBudget?.forStep(step.name, laterSteps) || {};
+    if (deadlineReason) {
+      logger.warn(`Skipping step: ${step.name} (${deadlineReason})`);
+      record({ name: step.name, status: "not_run", reason: deadlineReason, deadline: true });
+      emit(events, EVENTS.STEP_SKIP, { step: step.name, status: "not_run", reason: deadlineReason, resumed: false });
       continue;
     }
+    const stepAdapters = withStepBudget(adapters, stepBudget);
 
+    const policy = getStepPolicy(definition, config);
     logger.info(`━━━ Step: ${step.name} ━━━`);
+    track(step.name, { status: "running", startedAt: new Date().toISOString() });
+    // Bao gồm cả hooks và các lần thử lại
+    const stepStartedAt = Date.now();
+    emit(events, EVENTS.STEP_START, { step: step.name, maxAttempts: policy.attempts });
 
     try {
-      switch (step.name) {
-        case "setup_directories":
-          results.setupDirs = await setupDirectories(config, logger);
-          break;
-
-        case "connect_tailscale":
-          results.tailscale = await connectTailscale(config, logger);
-          break;
-
-        case "detect_previous_runner":
-          results.detection = await runnerDetector.detectPreviousRunner(config, logger);
-
-          // Set flag for later steps
-          const hasPreviousRunner = results.detection?.previousRunner != null;
-
-          if (!hasPreviousRunner) {
-            logger.info("No previous runner detected - skipping pull/stop/push");
-          }
-          break;
-
-        case "pull_data":
-          // Check if we have previous runner
-          if (!results.detection?.previousRunner) {
-            logger.info("Skipping pull - no previous runner");
-            results.pullData = { success: true, skipped: true };
-            break;
-          }
-
-          results.pullData = await dataSync.pullData(config, results.detection.previousRunner, logger);
-          break;
-
-        case "stop_remote_services":
-          // Check if we have previous runner
-          if (!results.detection?.previousRunner) {
-            logger.info("Skipping service stop - no previous runner");
-            results.stopServices = { success: true, skipped: true };
-            break;
-          }
-
-          results.stopServices = await serviceController.stopRemoteServices(config, results.detection.previousRunner, logger);
-          break;
-
-        case "push_to_git":
-          // Check if we have previous runner
-          if (!results.detection?.previousRunner) {
-            logger.info("Skipping git push - no previous runner");
-            results.pushGit = { success: true, skipped: true };
-            break;
-          }
-
-          results.pushGit = await pushToGit(config, logger);
-          break;
-
-        default:
-          logger.warn(`Unknown step: ${step.name}`);
-      }
+      await runHooks(`before:${step.name}`, step, { ...input, adapters: stepAdapters }, results);
+      const { result, attempt } = await runStepWithPolicy(definition, policy, {
+        config,
+        logger,
+        results,
+        timings: timings.forStep(step.name),
+        events,
+        adapters: stepAdapters,
+        lock,
+        budget: stepBudget || null,
+      });
+      results[definition.resultKey] = result;
+      await runHooks(`after:${step.name}`, step, { ...input, adapters: stepAdapters }, results);
+
+      const entry = {
+        name: step.name,
+        status: getStepStatus(result),
+        attempts: attempt,
+        maxAttempts: policy.attempts,
+        durationMs: Date.now() - stepStartedAt,
+      };
+      record(entry);
+      emit(events, EVENTS.STEP_COMPLETE, {
+        step: step.name,
+        status: entry.status,
+        attempts: attempt,
+        durationMs: entry.durationMs,
+        result,
+      });
     } catch (err) {
-      logger.error(`Step failed: ${step.name} - ${err.message}`);
-      throw err;
+      const entry = {
+        name: step.name,
+        status: "failed",
+        error: err.message,
+        attempts: err.attempts || 0,
+        maxAttempts: policy.attempts,
+        onError: policy.onError,
+        durationMs: Date.now() - stepStartedAt,
+      };
+      emit(events, EVENTS.STEP_FAIL, {
+        step: step.name,
+        error: err,
+        attempts: entry.attempts,
+        onError: policy.onError,
+        durationMs: entry.durationMs,
+      });
+
+      // Shutdown luôn dừng workflow, kể cả step có onError warn / skip-rest
+      if (policy.onError === "fail" || err instanceof InterruptedError) {
+        logger.error(`Step failed: ${step.name} - ${err.message}`);
+        record(entry);
+        recordDeadline();
+        finishJournal("failed");
+        // Giữ lại kết quả các step đã chạy để report (ví dụ: --json)
+        results.durationMs = Date.now() - runStartedAt;
+        err.results = results;
+        throw err;
+      }
+
+      // warn / skip-rest: ghi nhận lỗi và tiếp tục, không fail cả workflow
+      logger.warn(`Step ${step.name} failed - continuing (onError: ${policy.onError}): ${err.message}`);
+      results[definition.resultKey] = results[definition.resultKey] || { success: false, error: err.message };
+      record({ ...entry, status: "warning" });
+
+      if (policy.onError === "skip-rest") {
+        skipRestReason = `skipped after '${step.name}' failed (onError: skip-rest)`;
+      }
     }
   }
 
+  results.durationMs = Date.now() - runStartedAt;
+  recordDeadline();
+  finishJournal("completed");
+
   return results;
 }
 
+/**
+ * Policy hiệu lực của step: mặc định < policy của step definition < config "*" < config theo tên step
+ */
+function getStepPolicy(definition, config) {
+  return {
+    ...DEFAULT_STEP_POLICY,
+    ...definition.policy,
+    ...config.stepPolicies?.["*"],
+    ...config.stepPolicies?.[definition.name],
+  };
+}
+
+/**
+ * Chạy step theo policy: thử lại với exponential backoff, mỗi lần thử bị giới hạn bởi timeout
+ * Child process của lần thử bị kill khi lần thử hết giờ (budget riêng cho lần thử) - không chạy song song với lần thử sau
+ * Lỗi cuối cùng được throw kèm err.attempts
+ */
+async function runStepWithPolicy(definition, policy, context) {
+  const { logger, budget } = context;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      // --deadline: mỗi lần thử không vượt quá phần thời gian còn lại của step
+      const timeout = budget ? budget.clamp(policy.timeout || Infinity) : policy.timeout;
+      const result = await withTimeout(definition.run(getAttemptContext(context, timeout)), timeout, `Step ${definition.name}`);
+      if (attempt > 1) {
+        logger.success(`Step ${definition.name} succeeded on attempt ${attempt}/${policy.attempts}`);
+      }
+      return { result, attempt };
+    } catch (err) {
+      err.attempts = attempt;
+      // Shutdown: không thử lại (child của lần thử trước đã bị dừng)
+      if (attempt >= policy.attempts || err instanceof InterruptedError) {
+        throw err;
+      }
+      shutdown.assertNotShuttingDown(`retry of step ${definition.name}`);
+
+      const delay = policy.backoff * 2 ** (attempt - 1);
+      if (budget && budget.remaining() <= delay) {
+        logger.warn(`Step ${definition.name}: no time left in the --deadline budget for another attempt`);
+        throw err;
+      }
+      emit(context.events, EVENTS.STEP_RETRY, {
+        step: definition.name,
+        attempt,
+        maxAttempts: policy.attempts,
+        delayMs: delay,
+        error: err,
+      });
+      logger.warn(`Step ${definition.name} failed (attempt ${attempt}/${policy.attempts}): ${err.message}`);
+      logger.info(`Retrying ${definition.name}${delay > 0 ? ` in ${delay}ms` : ""}...`);
+      await context.adapters.process.sleep(delay);
+      shutdown.assertNotShuttingDown(`attempt ${attempt + 1} of step ${definition.name}`);
+    }
+  }
+}
+
+/**
+ * Context của một lần thử: process / git / ssh adapter bị giới hạn tới hết timeout của lần thử
+ */
+function getAttemptContext(context, timeoutMs) {
+  if (!timeoutMs) return context;
+
+  const attemptBudget = { ...createStepBudget(timeoutMs), limitedBy: "step timeout" };
+  return { ...context, budget: attemptBudget, adapters: withStepBudget(context.adapters, attemptBudget) };
+}
+
+/**
+ * Giới hạn thời gian chờ một promise (timeoutMs = 0: không giới hạn)
+ * Chỉ ngừng chờ - child process được kill bởi budget của lần thử (getAttemptContext)
+ */
+function withTimeout(promise, timeoutMs, label) {
+  if (!timeoutMs) return Promise.resolve(promise);
+
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new ProcessError(`${label} timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Chạy hooks của một event: function hooks (registry) trước, sau đó shell hooks (config file `hooks`)
+ * Hook lỗi làm step tương ứng fail
+ */
+async function runHooks(event, step, input, results) {
+  const { config, logger, registry: stepRegistry = registry, adapters } = input;
+  const functionHooks = stepRegistry.getHooks(event);
+  const shellHooks = config.hooks?.[event] || [];
+
+  for (const hook of functionHooks) {
+    const entry = { event, type: "function", name: hook.name || null };
+    logger.debug(`Running hook ${event}${hook.name ? ` (${hook.name})` : ""}`);
+    try {
+      await hook(results, { config, logger, step: step.name, event });
+      results.hooks.push({ ...entry, status: "completed" });
+    } catch (err) {
+      results.hooks.push({ ...entry, status: "failed", error: err.message });
+      throw new ProcessError(`Hook ${event} failed: ${err.message}`);
+    }
+  }
+
+  for (const command of shellHooks) {
+    const entry = { event, type: "shell", command };
+
+    if (config.dryRun) {
+      logger.info(`[dry-run] Would run hook ${event}: ${command}`);
+      results.hooks.push({ ...entry, status: "dry-run" });
+      continue;
+    }
+
+    logger.info(`Running hook ${event}: ${command}`);
+    try {
+      await adapters.process.runWithTimeout(command, CONST.HOOK_TIMEOUT, {
+        cwd: config.cwd,
+        logger,
+        env: buildHookEnv(event, step, config, results, adapters),
+      });
+      results.hooks.push({ ...entry, status: "completed" });
+    } catch (err) {
+      results.hooks.push({ ...entry, status: "failed", error: err.message });
+      throw new ProcessError(`Hook ${event} failed: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * Env cho shell hook: context của step + đường dẫn file JSON chứa results hiện tại
+ */
+function buildHookEnv(event, step, config, results, adapters) {
+  const resultsFile = path.join(config.tmpDir, "hook-results.json");
+  adapters.fs.ensureDir(config.tmpDir);
+  adapters.fs.writeFile(resultsFile, JSON.stringify(results, null, 2) + "\n");
+
+  return {
+    RUNNER_SYNC_HOOK: event,
+    RUNNER_SYNC_STEP: step.name,
+    RUNNER_SYNC_CWD: config.cwd,
+    RUNNER_SYNC_DATA_DIR: config.runnerDataDir,
+    RUNNER_SYNC_PREVIOUS_RUNNER: results.detection?.previousRunner?.hostname || "",
+    RUNNER_SYNC_RESULTS_FILE: resultsFile,
+  };
+}
+
 /**
  * Report
  */
@@ -135,7 +694,25 @@ function report(results, input) {
   const { logger } = input;
 
   logger.info("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
-  logger.success("Sync orchestration completed!");
+  if (input.config.dryRun) {
+    return reportDryRun(results, input);
+  }
+
+  const failedSteps = results.steps.filter((step) => step.status === "warning" && step.error);
+  if (failedSteps.length > 0) {
+    logger.warn(`Sync orchestration completed with ${failedSteps.length} failed step(s)`);
+  } else {
+    logger.success("Sync orchestration completed!");
+  }
+
+  // Step nào phải thử lại / lỗi nhưng được bỏ qua
+  for (const step of results.steps) {
+    if (step.error) {
+      logger.warn(`  ${step.name}: failed after ${step.attempts}/${step.maxAttempts} attempt(s) (onError: ${step.onError}) - ${step.error}`);
+    } else if (step.attempts > 1) {
+      logger.info(`  ${step.name}: succeeded on attempt ${step.attempts}/${step.maxAttempts}`);
+    }
+  }
 
   if (results.tailscale) {
     logger.info(`Tailscale IP: ${results.tailscale.ip || "N/A"}`);
@@ -147,25 +724,132 @@ function report(results, input) {
   }
 
   if (results.pullData?.syncedSize) {
-    logger.info(`Synced data: ${fs_adapter.formatBytes(results.pullData.syncedSize)}`);
+    const { syncedSize, durationMs, bytesPerSec } = results.pullData;
+    const speed = durationMs ? ` in ${formatDuration(durationMs)}${bytesPerSec ? ` (${formatRate(bytesPerSec)})` : ""}` : "";
+    logger.info(`Synced data: ${input.adapters.fs.formatBytes(syncedSize)}${speed}`);
+  }
+
+  if (results.stopServices?.services?.length > 0) {
+    const statuses = results.stopServices.services.map((service) => `${service.name} (${service.status})`);
+    logger.info(`Stopped services: ${statuses.join(", ")}`);
+  }
+
+  if (results.startServices?.services?.length > 0) {
+    const started = results.startServices.services.map((entry) => `${entry.name} (pid ${entry.pid})`);
+    logger.info(`Local services: ${started.join(", ")}`);
+  }
+
+  if (results.servicesHealth?.services?.length > 0) {
+    const healthy = results.servicesHealth.services.map((entry) => `${entry.name} (${formatDuration(entry.durationMs)})`);
+    logger.info(`Healthy before stopping previous runner: ${healthy.join(", ")}`);
+  }
+
+  // Two-phase: phần thay đổi trên runner cũ giữa pre-copy và lúc services dừng
+  if (results.finalSync && !results.finalSync.skipped && results.finalSync.success !== false) {
+    const { fs: fs_adapter } = input.adapters;
+    const describePass = (pass) =>
+      pass?.transferredBytes != null
+        ? `${fs_adapter.formatBytes(pass.transferredBytes)} in ${pass.filesTransferred} file(s)` +
+          (pass.filesDeleted ? `, ${pass.filesDeleted} deleted` : "") +
+          ` (${formatDuration(pass.durationMs)})`
+        : "no rsync stats";
+    logger.info(`Two-phase handoff: pre-copy ${describePass(results.pullData)}, final delta ${describePass(results.finalSync)}`);
+  }
+
+  if (results.steps.some((step) => step.durationMs !== undefined)) {
+    logger.info(`Timings (total ${formatDuration(results.durationMs)}):`);
+    formatTimingTable(results.steps, results.timings).forEach((line) => logger.info(`  ${line}`));
+  }
+
+  if (results.deadline) {
+    const { deadlineMs, remainingMs, skippedSteps } = results.deadline;
+    logger.info(`Deadline: ${formatDuration(deadlineMs)} budget, ${formatDuration(remainingMs)} left`);
+    if (skippedSteps.length > 0) {
+      logger.warn(`Skipped by deadline: ${skippedSteps.join(", ")}`);
+    }
   }
 
-  if (results.stopServices?.stoppedServices?.length > 0) {
-    logger.info(`Stopped services: ${results.stopServices.stoppedServices.join(", ")}`);
+  if (results.journal) {
+    const resumed = results.steps.filter((step) => step.resumed).map((step) => step.name);
+    if (resumed.length > 0) {
+      logger.info(`Resumed from run ${results.journal.resumedFrom}: skipped ${resumed.join(", ")}`);
+    }
+    logger.info(`Run journal: ${results.journal.path}`);
+  }
+
+  logger.info("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
+
+  return {
+    success: true,
+    results,
+  };
+}
+
+/**
+ * Dry-run report - tóm tắt peer được chọn và toàn bộ lệnh sẽ chạy
+ */
+function reportDryRun(results, input) {
+  const { logger } = input;
+
+  logger.success(input.config.simulate ? `Simulation completed (fixtures: ${input.config.simulate})` : "Dry run completed - no changes were made");
+
+  if (results.detection) {
+    const peer = results.detection.previousRunner;
+    logger.info(`Selected peer: ${peer ? `${peer.hostname} (${peer.ips?.[0] || "N/A"})` : "none"}`);
+
+    const candidates = results.detection.candidates || [];
+    if (candidates.length > 0) {
+      logger.info("Peer candidates:");
+      candidates.forEach((candidate) =>
+        logger.info(
+          `  ${candidate.selected ? "✔" : "✘"} ${candidate.hostname} (${candidate.ip || "N/A"}, created ${candidate.created || "N/A"}) - ${candidate.reason || "not checked"}`,
+        ),
+      );
+    }
+  }
+
+  const commands = Object.values(results).flatMap((result) => result?.commands || []);
+  if (commands.length > 0) {
+    logger.info("Commands that would run:");
+    commands.forEach((cmd, i) => logger.info(`  ${i + 1}. ${cmd}`));
+  }
+
+  const hooks = (results.hooks || []).filter((hook) => hook.type === "shell");
+  if (hooks.length > 0) {
+    logger.info("Hooks that would run:");
+    hooks.forEach((hook) => logger.info(`  ${hook.event}: ${hook.command}`));
   }
 
   logger.info("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
 
   return {
     success: true,
+    dryRun: true,
     results,
   };
 }
 
 /**
  * Setup directories
+ * options: { adapters }
  */
-async function setupDirectories(config, logger) {
+async function setupDirectories(config, logger, options = {}) {
+  const { adapters = createAdapterContext() } = options;
+  const { fs: fs_adapter, process: process_adapter } = adapters;
+
+  if (config.dryRun) {
+    const dirs = config.getDirectoriesToEnsure();
+    logger.info(`[dry-run] Would create ${dirs.length} directories:`);
+    dirs.forEach((dir) => logger.info(`[dry-run]   ${dir}${fs_adapter.exists(dir) ? " (exists)" : ""}`));
+    logger.info(`[dry-run] Would write runner metadata to ${METADATA_FILE}`);
+    return {
+      success: true,
+      dryRun: true,
+      directories: dirs,
+      commands: dirs.filter((dir) => !fs_adapter.exists(dir)).map((dir) => process_adapter.formatCommand(["mkdir", "-p", dir])),
+    };
+  }
+
   logger.info("Setting up directories...");
 
   const dirs = config.getDirectoriesToEnsure();
@@ -174,7 +858,7 @@ async function setupDirectories(config, logger) {
   logger.success(`Created ${dirs.length} directories`);
 
   // Gọi hàm ghi metadata.json
-  const metadataResult = await setupMetaJson(config, logger);
+  const metadataResult = await setupMetaJson(config, logger, adapters);
 
   if (!metadataResult.success) {
     logger.warn("Failed to write metadata file");
@@ -191,18 +875,13 @@ async function setupDirectories(config, logger) {
  * Setup metadata.json
  * Ghi thông tin runner vào file metadata để remote machine có thể đọc
  */
-async function setupMetaJson(config, logger) {
-  const METADATA_FILE = "/var/tmp/runner-tailscale-sync-metadata.json";
-
+async function setupMetaJson(config, logger, adapters) {
+  const { process: process_adapter } = adapters;
   logger.info("Writing runner metadata...");
 
   try {
-    const process_adapter = require("../adapters/process");
-    const path = require("path");
-
     // Get current user
-    const userResult = await process_adapter.runWithTimeout(["whoami"], 5000, { logger, silent: true });
-    const user = userResult.stdout?.trim() || process.env.USER || "unknown";
+    const user = process_adapter.runCapture("whoami") || process.env.USER || "unknown";
 
     // Get current working directory
     const cwd = process.cwd();
@@ -218,6 +897,8 @@ async function setupMetaJson(config, logger) {
     // Prepare metadata object
     const metadata = {
       timestamp: timestamp,
+      // Profile của handoff chain - runner-detector chỉ nhận peer cùng profile
+      profile: config.profile || null,
       runner: {
         user: user,
         runnerDataDir: runnerDataDir,
@@ -264,6 +945,7 @@ async function setupMetaJson(config, logger) {
     logger.success(`Metadata written to ${METADATA_FILE}`);
     logger.debug(`  User: ${user}`);
     logger.debug(`  Runner data dir: ${runnerDataDir}`);
+    logger.debug(`  Profile: ${config.profile || "(none)"}`);
 
     return {
       success: true,
@@ -282,24 +964,38 @@ async function setupMetaJson(config, logger) {
 
 /**
  * Connect to Tailscale
+ * options: { timings, events }
  */
-async function connectTailscale(config, logger) {
+async function connectTailscale(config, logger, options = {}) {
+  const { timings, events, budget, adapters = createAdapterContext() } = options;
+  const { tailscale } = adapters;
+
+  if (config.dryRun) {
+    return dryRunConnectTailscale(config, logger, adapters);
+  }
+
   logger.info("Connecting to Tailscale network...");
 
   // Install if needed
+  const endInstall = timings?.start("tailscale install");
   const installed = tailscale.install(logger);
+  endInstall?.({ status: installed ? "ok" : "failed" });
   if (!installed) {
     throw new ProcessError("Failed to install Tailscale");
   }
 
-  // Login
-  await tailscale.login(config.tailscaleClientId, config.tailscaleClientSecret, config.tailscaleTags, logger, config);
+  // Login (--deadline có thể rút ngắn thời gian chờ kết nối)
+  await tailscale.login(config.tailscaleClientId, config.tailscaleClientSecret, config.tailscaleTags, logger, config, {
+    timings,
+    timeout: budget ? budget.clamp(CONST.CONNECTION_TIMEOUT) : CONST.CONNECTION_TIMEOUT,
+  });
 
   // Get connection info
   const ip = tailscale.getIP(logger);
   const hostname = tailscale.getHostname(logger);
 
   logger.success(`Connected to Tailscale: ${ip || hostname}`);
+  emit(events, EVENTS.TAILSCALE_CONNECTED, { ip, hostname });
 
   return {
     success: true,
@@ -308,10 +1004,77 @@ async function connectTailscale(config, logger) {
   };
 }
 
+/**
+ * Dry-run connect - chỉ đọc trạng thái Tailscale hiện tại và in lệnh sẽ chạy
+ */
+function dryRunConnectTailscale(config, logger, adapters = createAdapterContext()) {
+  const { tailscale, process: process_adapter } = adapters;
+  const installed = process_adapter.commandExists("tailscale");
+  const connected = installed && tailscale.isLoggedIn(logger);
+  const commands = [];
+
+  if (!installed) {
+    commands.push("curl -fsSL https://tailscale.com/install.sh | sh");
+  }
+  const useOAuth = Boolean(config.tailscaleClientId && config.tailscaleClientSecret) || !config.tailscaleAuthKey;
+  commands.push(
+    useOAuth
+      ? tailscale.buildLoginCommand("***MASKED***", "***MASKED***", config.tailscaleTags, config)
+      : tailscale.buildLoginCommand("", "", config.tailscaleTags, { ...config, tailscaleAuthKey: "***MASKED***" }),
+  );
+
+  logger.info(`[dry-run] Tailscale installed: ${installed ? "yes" : "no"}, connected: ${connected ? "yes" : "no"}`);
+  commands.forEach((cmd) => logger.info(`[dry-run]   ${cmd}`));
+
+  return {
+    success: true,
+    dryRun: true,
+    ip: connected ? tailscale.getIP(logger) : null,
+    hostname: connected ? tailscale.getHostname(logger) : null,
+    commands,
+  };
+}
+
+/**
+ * Final sync chỉ chạy khi mọi stateful service (services[].stateful) trên runner cũ đã được xác nhận dừng -
+ * service còn ghi vào .runner-data thì final delta không phải trạng thái cuối
+ */
+function assertStatefulServicesStopped(config, stopResult, logger) {
+  const { STOPPED, NOT_RUNNING } = serviceController.SERVICE_STATUS;
+  const statuses = new Map((stopResult?.services || []).map((service) => [service.name, service.status]));
+  const alive = config.remoteServices
+    .filter((service) => service.stateful)
+    .map((service) => ({ name: service.name, status: statuses.get(service.name) || "not verified" }))
+    .filter((service) => service.status !== STOPPED && service.status !== NOT_RUNNING);
+
+  if (alive.length > 0) {
+    throw new SyncError(
+      `Refusing final sync - stateful service(s) on the previous runner not confirmed stopped: ` +
+        alive.map((service) => `${service.name} (${service.status})`).join(", "),
+    );
+  }
+
+  if (!stopResult || stopResult.success === false || stopResult.stillRunning?.length > 0) {
+    logger.warn("Services on the previous runner were not confirmed stopped - final delta may miss later writes");
+  }
+}
+
 /**
  * Push to git
+ * options: { timings, events }
  */
-async function pushToGit(config, logger) {
+async function pushToGit(config, logger, options = {}) {
+  const { timings, events, adapters = createAdapterContext() } = options;
+  const { git } = adapters;
+
+  if (config.dryRun) {
+    const message = `[runner-sync] Update .runner-data at ${getTimestamp()}`;
+    const commands = git.getCommitAndPushCommands(message, config.gitBranch);
+    logger.info(`[dry-run] Would push .runner-data to branch ${config.gitBranch}`);
+    commands.forEach((cmd) => logger.info(`[dry-run]   ${cmd}`));
+    return { success: true, dryRun: true, commands };
+  }
+
   logger.info("Pushing data to git repository...");
 
   if (!git.isAvailable()) {
@@ -324,14 +1087,24 @@ async function pushToGit(config, logger) {
     return { success: false };
   }
 
+  // Pull bị cancel / lỗi giữa chừng: không đẩy data dở dang lên git
+  const partial = dataSync.getPartialSyncMarker(config, adapters);
+  if (partial) {
+    throw new SyncError(`Refusing to push partially synced .runner-data (interrupted pull from ${partial.source || "unknown"}, see ${partial.path})`);
+  }
+
   const timestamp = getTimestamp();
   const message = `[runner-sync] Update .runner-data at ${timestamp}`;
 
+  emit(events, EVENTS.PUSH_START, { branch: config.gitBranch });
   const pushed = await git.commitAndPush(message, config.gitBranch, {
     logger,
     cwd: config.cwd,
+    timings,
   });
 
+  emit(events, EVENTS.PUSH_COMPLETE, { branch: config.gitBranch, pushed, noChanges: !pushed });
+
   if (pushed) {
     logger.success("Pushed to git repository");
     return { success: true };
@@ -344,9 +1117,9 @@ async function pushToGit(config, logger) {
 /**
  * Main orchestrate function
  */
-async function orchestrate(config, logger) {
+async function orchestrate(config, logger, options = {}) {
   // Step 1: Parse Input
-  const input = parseInput(config, logger);
+  const input = parseInput(config, logger, options);
 
   // Step 2: Validate
   validate(input);
@@ -355,8 +1128,22 @@ async function orchestrate(config, logger) {
   const planResult = plan(input);
   logger.debug(`Planned ${planResult.steps.filter((s) => s.enabled).length} steps`);
 
-  // Step 4: Execute
-  const execResult = await execute(planResult, input);
+  // Step 4: Execute - giữ run lock suốt quá trình (kể cả journal), nhả cả khi lỗi
+  // --deadline tính từ đây (bao gồm cả thời gian chờ lock)
+  const budget = createRunBudget(config);
+  const runLock = createRunLock(config, logger, { adapters: input.adapters });
+  let execResult;
+  if (runLock) {
+    await runLock.acquireLocal();
+  }
+  // SIGINT / SIGTERM: process exit trước khi finally kịp chạy - shutdown handler nhả lock
+  const removeCleanup = runLock ? shutdown.addCleanup("release run lock", () => runLock.releaseAll()) : null;
+  try {
+    execResult = await execute(planResult, { ...input, lock: runLock, budget });
+  } finally {
+    removeCleanup?.();
+    runLock?.releaseAll();
+  }
 
   // Step 5: Report
   return report(execResult, input);
@@ -369,4 +1156,19 @@ module.exports = {
   plan,
   execute,
   report,
+  reportDryRun,
+  getStepStatus,
+  STEP_RESULT_KEYS,
+  STEP_DEPENDENCIES,
+  STEP_NAMES,
+  BUILTIN_STEPS,
+  registry,
+  createRegistry,
+  applyStepSelection,
+  runHooks,
+  DEFAULT_STEP_POLICY,
+  getStepPolicy,
+  runStepWithPolicy,
+  setupDirectories,
+  dryRunConnectTailscale,
 };
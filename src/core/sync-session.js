@@ -0,0 +1,43 @@
+/**
+ * core/sync-session.js
+ * Event API cho library consumers: chạy orchestrator và phát lifecycle / progress events
+ * (dashboard, notification...) thay vì chỉ chờ kết quả cuối cùng
+ */
+
+const { EventEmitter } = require("events");
+const syncOrchestrator = require("./sync-orchestrator");
+const { EVENTS, emit } = require("./sync-events");
+
+/**
+ * Tạo session: trả về EventEmitter có thêm `promise` (kết quả orchestrate)
+ * Orchestrator chạy ở microtask kế tiếp để caller kịp gắn listener
+ *
+ * @param {Config} config
+ * @param {Logger} logger
+ * @param {object} options - { registry, adapters }
+ */
+function createSession(config, logger, options = {}) {
+  const session = new EventEmitter();
+
+  session.promise = Promise.resolve().then(async () => {
+    const startedAt = Date.now();
+    try {
+      const result = await syncOrchestrator.orchestrate(config, logger, { ...options, events: session });
+      emit(session, EVENTS.RUN_COMPLETE, { result, durationMs: Date.now() - startedAt });
+      return result;
+    } catch (err) {
+      emit(session, EVENTS.RUN_FAIL, { error: err, results: err.results || null });
+      throw err;
+    }
+  });
+
+  // Caller chỉ nghe event (không await) vẫn nhận lỗi qua run:fail, không bị unhandled rejection
+  session.promise.catch(() => {});
+
+  return session;
+}
+
+module.exports = {
+  EVENTS,
+  createSession,
+};
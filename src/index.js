@@ -6,12 +6,17 @@
 const Config = require("./utils/config");
 const Logger = require("./utils/logger");
 const syncOrchestrator = require("./core/sync-orchestrator");
+const syncSession = require("./core/sync-session");
 const runnerDetector = require("./core/runner-detector");
 const dataSync = require("./core/data-sync");
 const serviceController = require("./core/service-controller");
+const localServices = require("./core/local-services");
+const healthCheck = require("./core/health-check");
 const initRunner = require("./core/init");
 const pushRunner = require("./core/push");
 const statusRunner = require("./core/status");
+const doctor = require("./core/doctor");
+const showConfig = require("./core/show-config");
 
 // Adapters
 const tailscale = require("./adapters/tailscale");
@@ -20,11 +25,23 @@ const ssh = require("./adapters/ssh");
 const fs_adapter = require("./adapters/fs");
 const process_adapter = require("./adapters/process");
 const http_adapter = require("./adapters/http");
+const { createAdapterContext, DEFAULT_ADAPTERS } = require("./adapters/context");
 
 // Utils
 const time = require("./utils/time");
 const errors = require("./utils/errors");
 const constants = require("./utils/constants");
+const output = require("./utils/output");
+const dotenv = require("./utils/dotenv");
+
+/**
+ * In cảnh báo phát sinh khi load config (dòng .env sai cú pháp...)
+ */
+function logConfigWarnings(config, logger) {
+  for (const warning of config.warnings) {
+    logger.warn(warning);
+  }
+}
 
 /**
  * Main API - orchestrate full sync
@@ -42,8 +59,36 @@ async function sync(options = {}) {
   });
 
   logger.printBanner();
+  logConfigWarnings(config, logger);
 
-  return await syncOrchestrator.orchestrate(config, logger);
+  return await syncOrchestrator.orchestrate(config, logger, { registry: options.registry, adapters: options.adapters });
+}
+
+/**
+ * Event API - như sync() nhưng trả về EventEmitter (kèm `.promise`) phát lifecycle / progress events
+ *
+ * @example
+ * const session = createSyncSession({ cwd });
+ * session.on("peer:found", ({ peer }) => notify(peer.hostname));
+ * session.on("pull:progress", ({ percent, rate }) => dashboard.update(percent, rate));
+ * const result = await session.promise;
+ */
+function createSyncSession(options = {}) {
+  const config = new Config(options);
+  const pkg = require("../package.json");
+
+  const logger = new Logger({
+    packageName: pkg.name,
+    version: pkg.version,
+    command: "sync",
+    verbose: options.verbose || false,
+    quiet: options.quiet || false,
+  });
+
+  logger.printBanner();
+  logConfigWarnings(config, logger);
+
+  return syncSession.createSession(config, logger, { registry: options.registry, adapters: options.adapters });
 }
 
 /**
@@ -62,6 +107,7 @@ async function init(options = {}) {
   });
 
   logger.printBanner();
+  logConfigWarnings(config, logger);
 
   return await initRunner.initRunner(config, logger);
 }
@@ -82,8 +128,9 @@ async function push(options = {}) {
   });
 
   logger.printBanner();
+  logConfigWarnings(config, logger);
 
-  return await pushRunner.pushRunnerData(config, logger);
+  return await pushRunner.pushRunnerData(config, logger, { adapters: options.adapters });
 }
 
 /**
@@ -102,23 +149,56 @@ async function status(options = {}) {
   });
 
   logger.printBanner();
+  logConfigWarnings(config, logger);
 
   return await statusRunner.showStatus(config, logger);
 }
 
+/**
+ * Preflight check
+ */
+async function checkDependencies(options = {}) {
+  const config = new Config(options);
+  const pkg = require("../package.json");
+
+  const logger = new Logger({
+    packageName: pkg.name,
+    version: pkg.version,
+    command: "doctor",
+    verbose: options.verbose || false,
+    quiet: options.quiet || false,
+  });
+
+  logger.printBanner();
+  logConfigWarnings(config, logger);
+
+  return await doctor.runDoctor(config, logger);
+}
+
 // Export API và modules
 module.exports = {
   // Main API
   sync,
+  createSyncSession,
+  EVENTS: syncSession.EVENTS,
+  init,
+  push,
+  status,
+  doctor: checkDependencies,
 
   // Core modules
   syncOrchestrator,
+  syncSession,
   runnerDetector,
   dataSync,
   serviceController,
+  localServices,
+  healthCheck,
   initRunner,
   pushRunner,
   statusRunner,
+  doctorRunner: doctor,
+  showConfig,
 
   // Adapters
   tailscale,
@@ -127,6 +207,8 @@ module.exports = {
   fs: fs_adapter,
   process: process_adapter,
   http: http_adapter,
+  createAdapterContext,
+  DEFAULT_ADAPTERS,
 
   // Utils
   Config,
@@ -134,4 +216,6 @@ module.exports = {
   time,
   errors,
   constants,
+  output,
+  dotenv,
 };
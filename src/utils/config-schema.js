@@ -0,0 +1,260 @@
+/**
+ * config-schema.js
+ * Schema cho project config file (runner-sync.config.json / .runner-syncrc)
+ * và validator tối giản (không dùng thư viện ngoài)
+ */
+
+const CONFIG_FILE_NAMES = ["runner-sync.config.json", ".runner-syncrc"];
+
+const stringList = {
+  anyOf: [{ type: "string" }, { type: "array", items: { type: "string" } }],
+  description: "string (comma-separated) or array of strings",
+};
+
+const commandList = {
+  anyOf: [{ type: "string" }, { type: "array", items: { type: "string" } }],
+  description: "shell command or array of shell commands",
+};
+
+const duration = {
+  anyOf: [{ type: "number" }, { type: "string" }],
+  description: "milliseconds or duration string (500ms, 30s, 5m)",
+};
+
+// Cách stop service (trên previous runner và local); false = không stop trên previous runner
+const stopSchema = {
+  anyOf: [
+    { type: "boolean" },
+    {
+      type: "object",
+      properties: {
+        command: { type: "string" },
+        signal: { type: "string" },
+        grace: duration,
+        pidfile: { type: "string" },
+        match: { type: "string" },
+        check: { type: "string" },
+      },
+    },
+  ],
+  description: "boolean or { command, signal, grace, pidfile, match, check }",
+};
+
+// HTTP health check của service trên runner mới
+const healthSchema = {
+  anyOf: [
+    { type: "string" },
+    {
+      type: "object",
+      required: ["url"],
+      properties: {
+        url: { type: "string" },
+        status: { type: "number" },
+        timeout: duration,
+        interval: duration,
+      },
+    },
+  ],
+  description: "health URL or { url, status, timeout, interval }",
+};
+
+const serviceSchema = {
+  anyOf: [
+    { type: "string" },
+    {
+      type: "object",
+      required: ["name"],
+      properties: {
+        name: { type: "string" },
+        stop: stopSchema,
+        // Ghi vào .runner-data: final_sync bị từ chối khi service chưa được xác nhận đã dừng trên previous runner
+        stateful: { type: "boolean" },
+        health: healthSchema,
+        // Local service trên runner mới (start_local_services / runner-sync services)
+        command: { type: "string" },
+        cwd: { type: "string" },
+        env: { type: "object", additionalProperties: { type: "string" } },
+        dataDir: { type: "string" },
+        start: { type: "boolean" },
+      },
+    },
+  ],
+  description: "service name or { name, stop, stateful, health, command, cwd, env, dataDir, start }",
+};
+
+// Retry/timeout/onError cho một step
+const policySchema = {
+  type: "object",
+  properties: {
+    attempts: { type: "number" },
+    backoff: duration,
+    timeout: duration,
+    onError: { type: "string", enum: ["fail", "warn", "skip-rest"] },
+  },
+};
+
+// Các section dùng chung cho top-level và từng profile
+const SECTION_PROPERTIES = {
+  tailscale: {
+    type: "object",
+    properties: {
+      enable: { type: "boolean" },
+      tags: stringList,
+    },
+  },
+  services: { type: "array", items: serviceSchema },
+  git: {
+    type: "object",
+    properties: {
+      enabled: { type: "boolean" },
+      branch: { type: "string" },
+    },
+  },
+  paths: {
+    type: "object",
+    properties: {
+      ssh: { type: "string" },
+      rsync: { type: "string" },
+    },
+  },
+  steps: {
+    type: "object",
+    properties: {
+      only: stringList,
+      skip: stringList,
+    },
+  },
+  // "<step>" hoặc "*" (mọi step) → policy
+  policies: {
+    type: "object",
+    additionalProperties: policySchema,
+  },
+  // Two-phase handoff (pre-copy → stop services → final delta sync)
+  handoff: {
+    type: "object",
+    properties: {
+      twoPhase: { type: "boolean" },
+      stopWait: duration,
+    },
+  },
+  // Deadline cả lần chạy + reserve cho các step quan trọng ("<step>" → duration)
+  deadline: {
+    type: "object",
+    properties: {
+      total: duration,
+      reserves: { type: "object", additionalProperties: duration },
+    },
+  },
+  // Khi job bị cancel (SIGINT / SIGTERM)
+  shutdown: {
+    type: "object",
+    properties: {
+      tailscale: { type: "string", enum: ["none", "down", "logout"] },
+    },
+  },
+  // Run lock (local lockfile + remote advisory lock)
+  lock: {
+    type: "object",
+    properties: {
+      enabled: { type: "boolean" },
+      remote: { type: "boolean" },
+      timeout: duration,
+      staleAfter: duration,
+    },
+  },
+  // "before:<step>" / "after:<step>" → shell command(s)
+  hooks: {
+    type: "object",
+    additionalProperties: commandList,
+  },
+};
+
+const profileSchema = {
+  type: "object",
+  properties: {
+    extends: { type: "string" },
+    ...SECTION_PROPERTIES,
+  },
+};
+
+const CONFIG_SCHEMA = {
+  type: "object",
+  properties: {
+    $schema: { type: "string" },
+    ...SECTION_PROPERTIES,
+    profiles: {
+      type: "object",
+      additionalProperties: profileSchema,
+    },
+  },
+};
+
+function typeOf(value) {
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  return typeof value;
+}
+
+/**
+ * Validate value theo schema, trả về danh sách lỗi dạng "path: message"
+ */
+function validateSchema(value, schema, keyPath = "") {
+  const label = keyPath || "(root)";
+
+  if (schema.anyOf) {
+    const matches = schema.anyOf.some((option) => validateSchema(value, option, keyPath).length === 0);
+    if (matches) return [];
+
+    // Nếu type khớp với một option, báo lỗi chi tiết của option đó
+    const sameType = schema.anyOf.find((option) => option.type === typeOf(value));
+    if (sameType) return validateSchema(value, sameType, keyPath);
+
+    return [`${label}: expected ${schema.description || schema.anyOf.map((o) => o.type).join(" | ")}, got ${typeOf(value)}`];
+  }
+
+  const actual = typeOf(value);
+  if (actual !== schema.type) {
+    return [`${label}: expected ${schema.type}, got ${actual}`];
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${label}: expected one of ${schema.enum.join(", ")}, got ${JSON.stringify(value)}`);
+  }
+
+  if (schema.type === "object") {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${keyPath ? `${keyPath}.` : ""}${key}: is required`);
+      }
+    }
+
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = keyPath ? `${keyPath}.${key}` : key;
+      // additionalProperties: schema cho key tự do (ví dụ: tên profile)
+      const childSchema = properties[key] || schema.additionalProperties;
+      if (!childSchema) {
+        errors.push(`${childPath}: unknown key`);
+        continue;
+      }
+      errors.push(...validateSchema(child, childSchema, childPath));
+    }
+  }
+
+  if (schema.type === "array" && schema.items) {
+    value.forEach((item, i) => {
+      errors.push(...validateSchema(item, schema.items, `${keyPath}[${i}]`));
+    });
+  }
+
+  return errors;
+}
+
+module.exports = {
+  CONFIG_FILE_NAMES,
+  CONFIG_SCHEMA,
+  validateSchema,
+};
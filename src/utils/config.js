@@ -1,20 +1,81 @@
 /**
  * config.js
- * Load configuration từ .env, CLI flags, và defaults
+ * Load configuration từ CLI flags, env (.env), project config file và defaults
  */
 
 const fs = require("fs");
 const path = require("path");
 const os = require("os");
 const CONST = require("./constants");
+const { CONFIG_FILE_NAMES, CONFIG_SCHEMA, validateSchema } = require("./config-schema");
+const dotenv = require("./dotenv");
+const Logger = require("./logger");
+const { parseDuration } = require("./time");
+
+const TRUE_VALUES = ["1", "true", "yes", "on"];
+const FALSE_VALUES = ["0", "false", "no", "off"];
+
+/**
+ * Parse boolean setting: 1/true/yes/on, 0/false/no/off (không phân biệt hoa thường)
+ * @returns {boolean|null|undefined} undefined nếu chưa set (rỗng), null nếu không hợp lệ
+ */
+function parseBool(value) {
+  if (value === undefined || value === null || String(value).trim() === "") return undefined;
+  const normalized = String(value).trim().toLowerCase();
+  if (TRUE_VALUES.includes(normalized)) return true;
+  if (FALSE_VALUES.includes(normalized)) return false;
+  return null;
+}
+
+// Settings chứa secret - luôn mask khi hiển thị
+const SECRET_KEYS = ["tailscaleClientId", "tailscaleClientSecret", "tailscaleAuthKey"];
+
+// Step policy: số lần thử, backoff, timeout và cách xử lý lỗi
+const POLICY_ON_ERROR = ["fail", "warn", "skip-rest"];
+
+// Tailscale khi job bị cancel (SIGINT / SIGTERM): giữ nguyên, down, hoặc down + logout
+const ON_CANCEL_TAILSCALE = ["none", "down", "logout"];
+
+// Secret → env var tương ứng (cũng là key hợp lệ khi đọc từ stdin, và <NAME>_FILE)
+const SECRET_ENV_NAMES = {
+  tailscaleClientId: "TAILSCALE_CLIENT_ID",
+  tailscaleClientSecret: "TAILSCALE_CLIENT_SECRET",
+  tailscaleAuthKey: "TAILSCALE_AUTHKEY",
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
 
 class Config {
   constructor(options = {}) {
-    // Load .env file nếu có
-    this.loadEnvFile();
+    // Nguồn của từng setting (flag / env / .env / config / default) - dùng cho `runner-sync config`
+    this.sources = {};
+    this.envFileKeys = new Set();
+    this.configFileErrors = [];
+    // Cảnh báo không chặn (dòng .env sai cú pháp...) - CLI in ra sau khi tạo logger
+    this.warnings = [];
 
-    // Determine CWD (priority: CLI flag > env > process.cwd())
-    this.cwd = options.cwd || process.env.TOOL_CWD || process.cwd();
+    // Determine CWD (priority: CLI flag > env > .env > process.cwd())
+    this.cwd = this.resolve("cwd", { cli: options.cwd, envName: "TOOL_CWD", fallback: process.cwd() });
+
+    // Load .env từ cwd đã resolve + các file --env-files / RUNNER_SYNC_ENV_FILE
+    this.envFiles = this.loadEnvFiles(options.envFile || process.env.RUNNER_SYNC_ENV_FILE);
+    // TOOL_CWD từ env file: chuyển sang thư mục đó và đọc thêm .env của nó (một lần, giá trị đã load được giữ nguyên)
+    if (this.envFileKeys.has("TOOL_CWD") && !options.cwd) {
+      const previousCwd = this.cwd;
+      this.cwd = this.resolve("cwd", { envName: "TOOL_CWD", fallback: process.cwd() });
+      if (path.resolve(this.cwd) !== path.resolve(previousCwd)) {
+        this.envFiles.push(...this.loadEnvFiles(null));
+      }
+    }
+
+    // Project config file (runner-sync.config.json / .runner-syncrc)
+    this.configFile = this.loadConfigFile(options.config || process.env.RUNNER_SYNC_CONFIG);
+
+    // Named profile (--profile / RUNNER_SYNC_PROFILE): merge block profiles.<name> lên trên top-level
+    this.profile = this.resolve("profile", { cli: options.profile, envName: "RUNNER_SYNC_PROFILE", fallback: null });
+    const file = this.applyProfile(this.fileConfig || {}, this.profile);
 
     // Runner data directory
     this.runnerDataDir = path.join(this.cwd, CONST.RUNNER_DATA_DIR);
@@ -23,69 +84,607 @@ class Config {
     this.dataServicesDir = path.join(this.runnerDataDir, CONST.DATA_SERVICES_DIR);
     this.tmpDir = path.join(this.runnerDataDir, CONST.TMP_DIR);
 
-    // Tailscale config
-    this.tailscaleClientId = process.env.TAILSCALE_CLIENT_ID || "";
-    this.tailscaleClientSecret = process.env.TAILSCALE_CLIENT_SECRET || "";
-    this.tailscaleTags = process.env.TAILSCALE_TAGS || CONST.DEFAULT_TAG;
-    this.tailscaleEnable = ["1", 1].includes(process.env.TAILSCALE_ENABLE?.trim());
-    
-    // Services to stop on previous runner
-    this.servicesToStop = this.parseServicesList(process.env.SERVICES_TO_STOP || "cloudflared,pocketbase,http-server");
+    // Tailscale secrets: stdin (--secrets-from-stdin) > env / <NAME>_FILE, không đọc từ config file
+    // Giá trị từ stdin / file không bao giờ được export vào process.env
+    const stdinSecrets = options.secretsFromStdin ? this.readStdinSecrets() : {};
+    this.tailscaleClientId = this.resolveSecret("tailscaleClientId", stdinSecrets);
+    this.tailscaleClientSecret = this.resolveSecret("tailscaleClientSecret", stdinSecrets);
+    this.tailscaleAuthKey = this.resolveSecret("tailscaleAuthKey", stdinSecrets);
+    this.tailscaleTags = this.toList(
+      this.resolve("tailscaleTags", { cli: options.tags, envName: "TAILSCALE_TAGS", file: file.tailscale?.tags, fallback: CONST.DEFAULT_TAG }),
+    ).join(",");
+    this.tailscaleEnable = this.resolve("tailscaleEnable", {
+      envName: "TAILSCALE_ENABLE",
+      env: this.parseEnvFlag("TAILSCALE_ENABLE"),
+      file: file.tailscale?.enable,
+      fallback: false,
+    });
+
+    // Services trên previous runner (env SERVICES_TO_STOP > config file > default)
+    const fileServices = file.services ? this.normalizeServices(file.services) : undefined;
+    this.services = this.resolve("services", {
+      envName: "SERVICES_TO_STOP",
+      env: process.env.SERVICES_TO_STOP ? this.normalizeServices(this.parseServicesList(process.env.SERVICES_TO_STOP)) : undefined,
+      file: fileServices,
+      fallback: this.normalizeServices(["cloudflared", "pocketbase", "http-server"]),
+    });
+    // Stop definition của từng service: [{ name, stop: { command, signal, grace, pidfile, match, check } }]
+    this.remoteServices = this.services
+      .filter((service) => service.stop !== false)
+      .map(({ name, stop, stateful }) => ({ name, stop, stateful }));
+    this.servicesToStop = this.remoteServices.map((service) => service.name);
+    // Services chạy trên runner này (services[] có `command`) - chỉ từ config file, SERVICES_TO_STOP không ảnh hưởng
+    this.localServices = this.normalizeLocalServices(this.resolve("localServices", { file: fileServices, fallback: [] }));
 
     // Platform detection
     this.isWindows = os.platform() === "win32";
     this.isLinux = os.platform() === "linux";
     this.isMacOS = os.platform() === "darwin";
 
+    // Chọn step cho orchestrator (--only / --skip)
+    this.onlySteps = this.toList(
+      this.resolve("onlySteps", { cli: options.only, envName: "RUNNER_SYNC_ONLY", file: file.steps?.only, fallback: [] }),
+    );
+    this.skipSteps = this.toList(
+      this.resolve("skipSteps", { cli: options.skip, envName: "RUNNER_SYNC_SKIP", file: file.steps?.skip, fallback: [] }),
+    );
+
+    // Policy từng step (config file < RUNNER_SYNC_POLICY < --policy), merge theo từng key
+    const policySources = [
+      ["config policies", file.policies],
+      ["RUNNER_SYNC_POLICY", this.parsePolicySpec(process.env.RUNNER_SYNC_POLICY, "RUNNER_SYNC_POLICY")],
+      ["--policy", this.parsePolicySpec(options.policy, "--policy")],
+    ];
+    this.resolve("stepPolicies", { cli: policySources[2][1], envName: "RUNNER_SYNC_POLICY", env: policySources[1][1], file: file.policies });
+    this.stepPolicies = this.mergePolicies(policySources);
+
+    // Shell hooks before:<step> / after:<step> (chỉ từ config file)
+    this.hooks = this.normalizeHooks(this.resolve("hooks", { file: file.hooks, fallback: {} }));
+
+    // Dry-run: chỉ parse/validate/plan + read-only discovery
+    this.dryRun = this.resolve("dryRun", {
+      cli: options.dryRun || undefined,
+      envName: "RUNNER_SYNC_DRY_RUN",
+      env: this.parseEnvFlag("RUNNER_SYNC_DRY_RUN"),
+      fallback: false,
+    });
+
+    // Simulation: detection/planning thật trên fixtures (tailscale status, SSH answers, metadata)
+    // Luôn là dry-run và luôn chạy detection, không cần Tailscale credentials
+    const simulate = this.resolve("simulate", { cli: options.simulate, envName: "RUNNER_SYNC_SIMULATE", fallback: null });
+    this.simulate = simulate ? path.resolve(this.cwd, simulate) : null;
+    if (this.simulate) {
+      this.dryRun = true;
+      this.tailscaleEnable = true;
+    }
+
+    // Resume: bỏ qua step đã xong theo run journal của lần chạy bị gián đoạn
+    this.resume = this.resolve("resume", {
+      cli: options.resume || undefined,
+      envName: "RUNNER_SYNC_RESUME",
+      env: this.parseEnvFlag("RUNNER_SYNC_RESUME"),
+      fallback: false,
+    });
+
+    // Two-phase handoff: pre-copy khi services còn chạy → stop + chờ services thoát → final delta rsync
+    this.twoPhase = this.resolve("twoPhase", {
+      cli: options.twoPhase || undefined,
+      envName: "RUNNER_SYNC_TWO_PHASE",
+      env: this.parseEnvFlag("RUNNER_SYNC_TWO_PHASE"),
+      file: file.handoff?.twoPhase,
+      fallback: false,
+    });
+    this.serviceStopWait = this.toDuration(
+      "serviceStopWait",
+      this.resolve("serviceStopWait", { file: file.handoff?.stopWait, fallback: CONST.SERVICE_STOP_WAIT }),
+      CONST.SERVICE_STOP_WAIT,
+    );
+
+    // Run lock: lockfile trong pidDir + advisory lock trên previous runner (qua SSH)
+    this.lockEnabled = this.resolve("lockEnabled", {
+      cli: options.noLock ? false : undefined,
+      envName: "RUNNER_SYNC_LOCK",
+      env: this.parseEnvFlag("RUNNER_SYNC_LOCK"),
+      file: file.lock?.enabled,
+      fallback: true,
+    });
+    this.lockRemote = this.resolve("lockRemote", { file: file.lock?.remote, fallback: true });
+    // timeout: thời gian chờ lock đang bị giữ (0 = fail ngay), staleAfter: lock cũ hơn mức này bị phá
+    this.lockTimeout = this.toDuration(
+      "lockTimeout",
+      this.resolve("lockTimeout", { cli: options.lockTimeout, envName: "RUNNER_SYNC_LOCK_TIMEOUT", file: file.lock?.timeout, fallback: CONST.LOCK_TIMEOUT }),
+      CONST.LOCK_TIMEOUT,
+    );
+    this.lockStaleAfter = this.toDuration(
+      "lockStaleAfter",
+      this.resolve("lockStaleAfter", {
+        cli: options.lockStaleAfter,
+        envName: "RUNNER_SYNC_LOCK_STALE_AFTER",
+        file: file.lock?.staleAfter,
+        fallback: CONST.LOCK_STALE_AFTER,
+      }),
+      CONST.LOCK_STALE_AFTER,
+    );
+
+    // Deadline cả lần chạy (0 / không set = không giới hạn) và reserve cho step chạy sau (mặc định push_to_git)
+    const deadline = this.resolve("deadline", { cli: options.deadline, envName: "RUNNER_SYNC_DEADLINE", file: file.deadline?.total, fallback: 0 });
+    this.deadline = this.toDuration("deadline", deadline, 0) || null;
+    const reserves = this.resolve("deadlineReserves", { file: file.deadline?.reserves, fallback: { push_to_git: CONST.DEADLINE_PUSH_RESERVE } });
+    this.deadlineReserves = Object.fromEntries(
+      Object.entries(reserves).map(([step, value]) => [step, this.toDuration(`deadline.reserves.${step}`, value, 0)]),
+    );
+
+    // Shutdown khi bị cancel: tailscale down / logout để node không còn được chọn làm previous runner
+    this.onCancelTailscale = this.resolve("onCancelTailscale", {
+      cli: options.onCancel,
+      envName: "RUNNER_SYNC_ON_CANCEL",
+      file: file.shutdown?.tailscale,
+      fallback: "none",
+    });
+    if (!ON_CANCEL_TAILSCALE.includes(this.onCancelTailscale)) {
+      this.configFileErrors.push(`onCancelTailscale: must be one of ${ON_CANCEL_TAILSCALE.join(", ")} (got '${this.onCancelTailscale}')`);
+      this.onCancelTailscale = "none";
+    }
+
     // Logging
-    this.verbose = options.verbose || false;
-    this.quiet = options.quiet || false;
+    this.verbose = this.resolve("verbose", { cli: options.verbose || undefined, fallback: false });
+    this.quiet = this.resolve("quiet", { cli: options.quiet || undefined, fallback: false });
 
     // Git
-    this.gitEnabled = String(process.env.GIT_PUSH_ENABLED || "1").trim() === "1";
-    this.gitBranch = process.env.GIT_BRANCH || "main";
+    this.gitEnabled = this.resolve("gitEnabled", {
+      envName: "GIT_PUSH_ENABLED",
+      env: this.parseEnvFlag("GIT_PUSH_ENABLED"),
+      file: file.git?.enabled,
+      fallback: true,
+    });
+    this.gitBranch = this.resolve("gitBranch", { cli: options.branch, envName: "GIT_BRANCH", file: file.git?.branch, fallback: "main" });
 
     // SSH/Rsync paths (for Windows)
-    this.sshPath = process.env.SSH_PATH || "ssh";
-    this.rsyncPath = process.env.RSYNC_PATH || "rsync";
+    this.sshPath = this.resolve("sshPath", { envName: "SSH_PATH", file: file.paths?.ssh, fallback: "ssh" });
+    this.rsyncPath = this.resolve("rsyncPath", { envName: "RSYNC_PATH", file: file.paths?.rsync, fallback: "rsync" });
+  }
+
+  /**
+   * Resolve một setting theo thứ tự ưu tiên: CLI > env > config file > default
+   * Giá trị rỗng ("" / null / undefined) được coi là chưa set.
+   * Nguồn được ghi vào this.sources[key]
+   */
+  resolve(key, { cli, envName, env = envName ? process.env[envName] : undefined, file, fallback }) {
+    const candidates = [
+      ["flag", cli],
+      [this.envFileKeys.has(envName) ? ".env" : "env", env],
+      ["config", file],
+    ];
+
+    for (const [source, value] of candidates) {
+      if (value !== undefined && value !== null && value !== "") {
+        this.sources[key] = { source, envName: envName || null };
+        return value;
+      }
+    }
+
+    this.sources[key] = { source: "default", envName: envName || null };
+    return fallback;
+  }
+
+  /**
+   * Resolve secret: stdin > env var > <NAME>_FILE (không được set cả env var lẫn _FILE)
+   * Giá trị được đăng ký với Logger masker
+   */
+  resolveSecret(key, stdinSecrets) {
+    const envName = SECRET_ENV_NAMES[key];
+    const fileVar = `${envName}_FILE`;
+    let value;
+
+    if (stdinSecrets[envName]) {
+      this.sources[key] = { source: "stdin", envName };
+      value = stdinSecrets[envName];
+    } else if (process.env[fileVar]) {
+      if (process.env[envName]) {
+        this.configFileErrors.push(`Set either ${envName} or ${fileVar}, not both`);
+      }
+      this.sources[key] = { source: "file", envName: fileVar };
+      value = this.readSecretFile(fileVar);
+    } else {
+      value = this.resolve(key, { envName, fallback: "" });
+    }
+
+    Logger.registerSecret(value);
+    return value;
   }
 
   /**
-   * Load .env file
+   * Đọc secret từ file trỏ bởi env var (bỏ newline cuối file)
    */
-  loadEnvFile() {
-    const envPath = path.join(process.cwd(), ".env");
-    if (!fs.existsSync(envPath)) return;
+  readSecretFile(fileVar) {
+    const filePath = path.resolve(this.cwd, process.env[fileVar]);
 
     try {
-      const content = fs.readFileSync(envPath, "utf8");
-      content.split("\n").forEach((line) => {
-        const trimmed = line.trim();
-        if (!trimmed || trimmed.startsWith("#")) return;
-
-        const match = trimmed.match(/^([^=]+)=(.*)$/);
-        if (match) {
-          const key = match[1].trim();
-          let value = match[2].trim();
-
-          // Remove quotes
-          if ((value.startsWith('"') && value.endsWith('"')) || (value.startsWith("'") && value.endsWith("'"))) {
-            value = value.slice(1, -1);
-          }
-
-          // Only set if not already in env
-          if (!process.env[key]) {
-            process.env[key] = value;
-          }
+      const value = fs.readFileSync(filePath, "utf8").replace(/\r?\n$/, "");
+      if (!value.trim()) {
+        this.configFileErrors.push(`${fileVar}: ${filePath} is empty`);
+      }
+      return value;
+    } catch (err) {
+      this.configFileErrors.push(`${fileVar}: cannot read ${filePath} (${err.code || err.message})`);
+      return "";
+    }
+  }
+
+  /**
+   * Đọc secrets dạng KEY=VALUE (cú pháp .env) từ stdin
+   */
+  readStdinSecrets() {
+    let content = "";
+    try {
+      content = fs.readFileSync(0, "utf8");
+    } catch (err) {
+      this.configFileErrors.push(`--secrets-from-stdin: cannot read stdin (${err.code || err.message})`);
+      return {};
+    }
+
+    const allowed = Object.values(SECRET_ENV_NAMES);
+    const parsed = dotenv.parse(content, { env: {} });
+    this.warnings.push(...parsed.warnings.map((warning) => dotenv.formatWarning({ file: "stdin", ...warning })));
+
+    const secrets = {};
+    for (const [key, value] of Object.entries(parsed.values)) {
+      if (allowed.includes(key)) {
+        secrets[key] = value;
+      } else {
+        this.warnings.push(`stdin: ignoring ${key} (accepted: ${allowed.join(", ")})`);
+      }
+    }
+    return secrets;
+  }
+
+  /**
+   * Danh sách setting hiệu lực kèm nguồn (secrets được đánh dấu để mask khi hiển thị)
+   */
+  describe() {
+    return Object.entries(this.sources).map(([key, info]) => ({
+      key,
+      value: this[key],
+      source: info.source,
+      envName: info.envName,
+      secret: SECRET_KEYS.includes(key),
+    }));
+  }
+
+  /**
+   * Các đường dẫn dẫn xuất từ cwd
+   */
+  getDerivedPaths() {
+    return {
+      runnerDataDir: this.runnerDataDir,
+      logsDir: this.logsDir,
+      pidDir: this.pidDir,
+      dataServicesDir: this.dataServicesDir,
+      tmpDir: this.tmpDir,
+      metadataFile: CONST.METADATA_FILE,
+      configFile: this.configFile,
+      envFiles: this.envFiles,
+      runJournal: path.join(this.tmpDir, CONST.RUN_JOURNAL_FILE),
+    };
+  }
+
+  /**
+   * Boolean setting từ env (parseBool), undefined nếu chưa set
+   * Giá trị sai → lỗi config + null (resolve() bỏ qua null, không lấy lại giá trị thô từ process.env)
+   */
+  parseEnvFlag(envName) {
+    const value = parseBool(process.env[envName]);
+    if (value === null) {
+      this.configFileErrors.push(`${envName}: invalid boolean '${process.env[envName]}' (use 1/0, true/false, yes/no, on/off)`);
+    }
+    return value;
+  }
+
+  /**
+   * Chuẩn hóa duration setting sang ms, giá trị sai → lỗi config + dùng fallback
+   */
+  toDuration(key, value, fallback) {
+    const ms = parseDuration(value);
+    if (ms === null) {
+      this.configFileErrors.push(`${key}: invalid duration '${value}' (use milliseconds or 500ms / 30s / 5m)`);
+      return fallback;
+    }
+    return ms;
+  }
+
+  /**
+   * Chuẩn hóa string (comma-separated) hoặc array thành array
+   */
+  toList(value) {
+    if (Array.isArray(value)) return value.map((s) => String(s).trim()).filter(Boolean);
+    return this.parseServicesList(String(value || ""));
+  }
+
+  /**
+   * Chuẩn hóa danh sách services thành [{ name, stop: false | stop definition, stateful, command?, ... }]
+   * stateful: service ghi vào .runner-data - final_sync không chạy khi service này chưa được xác nhận đã dừng
+   */
+  normalizeServices(services) {
+    return services
+      .map((service) => (typeof service === "string" ? { name: service.trim() } : { ...service }))
+      .filter((service) => service.name)
+      .map((service) => ({
+        ...service,
+        stop: service.stop === false ? false : this.normalizeStopSpec(service),
+        stateful: service.stateful === true,
+        health: service.health ? this.normalizeHealthSpec(service) : null,
+      }));
+  }
+
+  /**
+   * HTTP health check (services[].health): URL hoặc { url, status, timeout, interval }
+   * status: HTTP status mong đợi (mặc định 2xx), `{tailscaleIp}` trong URL = Tailscale IP của runner này
+   */
+  normalizeHealthSpec(service) {
+    const spec = typeof service.health === "string" ? { url: service.health } : service.health;
+    const label = `services.${service.name}.health`;
+
+    if (!/^https?:\/\//.test(spec.url || "")) {
+      this.configFileErrors.push(`${label}.url: must be an http:// or https:// URL (got '${spec.url || ""}')`);
+    }
+
+    return {
+      url: spec.url || "",
+      status: spec.status ?? null,
+      timeout: this.toDuration(`${label}.timeout`, spec.timeout ?? CONST.HEALTH_TIMEOUT, CONST.HEALTH_TIMEOUT),
+      interval: this.toDuration(`${label}.interval`, spec.interval ?? CONST.HEALTH_INTERVAL, CONST.HEALTH_INTERVAL),
+    };
+  }
+
+  /**
+   * Stop definition (services[].stop): lệnh stop, signal, grace trước SIGKILL, pidfile, match pattern (pgrep -f), post-stop check
+   * Không khai báo command / pidfile / match: stop kiểu cũ theo tên (systemctl stop / pkill -f <name>)
+   * pidfile tương đối tính theo .runner-data (trên previous runner: .runner-data của runner đó)
+   */
+  normalizeStopSpec(service) {
+    const spec = isPlainObject(service.stop) ? service.stop : {};
+    const label = `services.${service.name}.stop`;
+
+    let signal = String(spec.signal || "SIGTERM").toUpperCase();
+    if (!signal.startsWith("SIG")) signal = `SIG${signal}`;
+    if (!(signal in os.constants.signals)) {
+      this.configFileErrors.push(`${label}.signal: unknown signal '${spec.signal}'`);
+      signal = "SIGTERM";
+    }
+
+    return {
+      command: spec.command || null,
+      signal,
+      grace: this.toDuration(`${label}.grace`, spec.grace ?? CONST.SERVICE_STOP_GRACE, CONST.SERVICE_STOP_GRACE),
+      // Local service luôn có PID file do runner-sync ghi
+      pidfile: spec.pidfile || (service.command ? `${CONST.PID_DIR}/${service.name}.pid` : null),
+      match: spec.match || null,
+      check: spec.check || null,
+    };
+  }
+
+  /**
+   * Local services: cwd tính theo cwd của project, dataDir theo dataServicesDir (mặc định <dataServicesDir>/<name>)
+   * Tên service dùng làm tên PID / log file nên chỉ cho phép [A-Za-z0-9._-]
+   */
+  normalizeLocalServices(services) {
+    return services
+      .filter((service) => service.command)
+      .filter((service) => {
+        if (/^[\w.-]+$/.test(service.name)) return true;
+        this.configFileErrors.push(`services: invalid name '${service.name}' for a service with a command (use letters, digits, '.', '_', '-')`);
+        return false;
+      })
+      .map((service) => ({
+        name: service.name,
+        command: service.command,
+        cwd: path.resolve(this.cwd, service.cwd || "."),
+        env: { ...service.env },
+        dataDir: path.resolve(this.dataServicesDir, service.dataDir || service.name),
+        autoStart: service.start !== false,
+        // stop: false chỉ tắt stop trên previous runner - local vẫn dùng definition mặc định
+        stop: service.stop || this.normalizeStopSpec({ name: service.name, command: service.command }),
+        health: service.health,
+        pidFile: path.resolve(this.runnerDataDir, (service.stop || {}).pidfile || `${CONST.PID_DIR}/${service.name}.pid`),
+      }));
+  }
+
+  /**
+   * Parse policy từ CLI/env: "pull_data:attempts=3,backoff=5s;stop_remote_services:onError=warn"
+   * (--policy có thể lặp lại; "*" áp dụng cho mọi step)
+   */
+  parsePolicySpec(spec, label) {
+    const entries = []
+      .concat(spec || [])
+      .flatMap((item) => String(item).split(";"))
+      .map((entry) => entry.trim())
+      .filter(Boolean);
+    if (entries.length === 0) return undefined;
+
+    const policies = {};
+    for (const entry of entries) {
+      const separator = entry.indexOf(":");
+      const pairs = entry
+        .slice(separator + 1)
+        .split(",")
+        .map((pair) => pair.split("=").map((part) => part.trim()));
+
+      if (separator <= 0 || pairs.some(([key, value]) => !key || !value)) {
+        this.configFileErrors.push(`${label}: expected <step>:<key>=<value>[,<key>=<value>], got '${entry}'`);
+        continue;
+      }
+
+      const step = entry.slice(0, separator).trim();
+      policies[step] = { ...policies[step], ...Object.fromEntries(pairs) };
+    }
+    return policies;
+  }
+
+  /**
+   * Merge policies theo thứ tự ưu tiên tăng dần, chuẩn hóa backoff/timeout sang ms
+   */
+  mergePolicies(sources) {
+    const merged = {};
+    for (const [label, policies] of sources) {
+      for (const [step, policy] of Object.entries(policies || {})) {
+        merged[step] = { ...merged[step], ...this.normalizePolicy(policy, `${label} (${step})`) };
+      }
+    }
+    return merged;
+  }
+
+  normalizePolicy(policy, label) {
+    const normalized = {};
+
+    for (const [key, value] of Object.entries(policy)) {
+      if (key === "attempts") {
+        const attempts = Number(value);
+        if (Number.isInteger(attempts) && attempts >= 1) {
+          normalized.attempts = attempts;
+        } else {
+          this.configFileErrors.push(`${label}: attempts must be an integer >= 1, got '${value}'`);
+        }
+      } else if (key === "backoff" || key === "timeout") {
+        const ms = parseDuration(value);
+        if (ms !== null) {
+          normalized[key] = ms;
+        } else {
+          this.configFileErrors.push(`${label}: invalid ${key} '${value}' (use milliseconds or 500ms / 30s / 5m)`);
+        }
+      } else if (key === "onError") {
+        if (POLICY_ON_ERROR.includes(value)) {
+          normalized.onError = value;
+        } else {
+          this.configFileErrors.push(`${label}: onError must be one of ${POLICY_ON_ERROR.join(", ")}, got '${value}'`);
         }
-      });
+      } else {
+        this.configFileErrors.push(`${label}: unknown policy key '${key}'`);
+      }
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Chuẩn hóa hooks thành { event: [command, ...] }
+   */
+  normalizeHooks(hooks) {
+    return Object.fromEntries(
+      Object.entries(hooks || {})
+        .map(([event, commands]) => [event, [].concat(commands).map((cmd) => String(cmd).trim()).filter(Boolean)])
+        .filter(([, commands]) => commands.length > 0),
+    );
+  }
+
+  /**
+   * Tìm và đọc project config file, validate theo schema
+   * Lỗi được gom vào configFileErrors và báo ra qua validate()
+   */
+  loadConfigFile(explicitPath) {
+    this.fileConfig = null;
+
+    let filePath = null;
+    if (explicitPath) {
+      filePath = path.resolve(this.cwd, explicitPath);
+      if (!fs.existsSync(filePath)) {
+        this.configFileErrors.push(`Config file not found: ${filePath}`);
+        return null;
+      }
+    } else {
+      filePath = CONFIG_FILE_NAMES.map((name) => path.join(this.cwd, name)).find((candidate) => fs.existsSync(candidate));
+      if (!filePath) return null;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(filePath, "utf8"));
     } catch (err) {
-      // Ignore errors
+      this.configFileErrors.push(`Invalid JSON in ${path.basename(filePath)}: ${err.message}`);
+      return filePath;
+    }
+
+    const schemaErrors = validateSchema(data, CONFIG_SCHEMA);
+    if (schemaErrors.length > 0) {
+      this.configFileErrors.push(...schemaErrors.map((err) => `${path.basename(filePath)}: ${err}`));
+      return filePath;
+    }
+
+    this.fileConfig = data;
+    return filePath;
+  }
+
+  /**
+   * Merge profile (và chuỗi `extends` của nó) lên trên settings top-level
+   * Object được merge đệ quy, array/scalar của profile thay thế giá trị base
+   */
+  applyProfile(fileConfig, profileName) {
+    const { profiles = {}, ...base } = fileConfig;
+    if (!profileName) return base;
+
+    if (!this.configFile) {
+      this.configFileErrors.push(`Profile '${profileName}' requires a config file (runner-sync.config.json / .runner-syncrc)`);
+      return base;
+    }
+
+    // Đi ngược chuỗi extends: profile → base profile → ...
+    const chain = [];
+    let name = profileName;
+    while (name) {
+      if (chain.includes(name)) {
+        this.configFileErrors.push(`Profile inheritance cycle: ${[...chain, name].join(" → ")}`);
+        return base;
+      }
+      if (!Object.prototype.hasOwnProperty.call(profiles, name)) {
+        const available = Object.keys(profiles);
+        this.configFileErrors.push(
+          `Profile '${name}' not found in ${path.basename(this.configFile)}` + (available.length ? ` (available: ${available.join(", ")})` : ""),
+        );
+        return base;
+      }
+      chain.push(name);
+      name = profiles[name].extends;
     }
+
+    return chain.reverse().reduce((merged, profile) => {
+      const { extends: _extends, ...settings } = profiles[profile];
+      return this.mergeSettings(merged, settings);
+    }, base);
+  }
+
+  mergeSettings(base, override) {
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+      const current = merged[key];
+      merged[key] = isPlainObject(current) && isPlainObject(value) ? this.mergeSettings(current, value) : value;
+    }
+    return merged;
+  }
+
+  /**
+   * Load <cwd>/.env và các env file chỉ định thêm (file sau ghi đè file trước)
+   * Biến đã có trong process.env luôn được giữ nguyên
+   */
+  loadEnvFiles(extraFiles) {
+    const explicit = this.toList(extraFiles).map((file) => path.resolve(this.cwd, file));
+    const result = dotenv.load([path.join(this.cwd, ".env"), ...explicit]);
+
+    for (const key of result.applied) {
+      this.envFileKeys.add(key);
+    }
+
+    for (const file of result.files) {
+      if (!file.found && explicit.includes(file.path)) {
+        this.configFileErrors.push(`Env file not found: ${file.path}`);
+      }
+    }
+
+    this.warnings.push(...result.warnings.map((warning) => dotenv.formatWarning(warning)));
+
+    return result.files.filter((file) => file.found).map((file) => file.path);
   }
 
   /**
-   * Parse comma-separated services list
+   * Parse comma-separated list (services, step names...)
    */
   parseServicesList(str) {
     return str
@@ -98,14 +697,15 @@ class Config {
    * Validate required config
    */
   validate() {
-    const errors = [];
+    const errors = [...this.configFileErrors];
 
-    if (this.tailscaleEnable) {
+    // Auth key thay thế được cặp OAuth client (--simulate không kết nối tailnet thật)
+    if (this.tailscaleEnable && !this.tailscaleAuthKey && !this.simulate) {
       if (!this.tailscaleClientId) {
-        errors.push("TAILSCALE_CLIENT_ID is required when TAILSCALE_ENABLE=1");
+        errors.push("TAILSCALE_CLIENT_ID (or TAILSCALE_CLIENT_ID_FILE) is required when TAILSCALE_ENABLE=1");
       }
       if (!this.tailscaleClientSecret) {
-        errors.push("TAILSCALE_CLIENT_SECRET is required when TAILSCALE_ENABLE=1");
+        errors.push("TAILSCALE_CLIENT_SECRET (or TAILSCALE_CLIENT_SECRET_FILE) is required when TAILSCALE_ENABLE=1");
       }
     }
 
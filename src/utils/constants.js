@@ -10,6 +10,8 @@ module.exports = {
   EXIT_VALIDATION: 2,
   EXIT_NETWORK: 10,
   EXIT_PROCESS: 20,
+  EXIT_LOCK: 30,
+  EXIT_INTERRUPTED: 130, // SIGINT / SIGTERM (128 + SIGINT)
 
   // Directories
   RUNNER_DATA_DIR: ".runner-data",
@@ -18,6 +20,20 @@ module.exports = {
   DATA_SERVICES_DIR: "data-services",
   TMP_DIR: "tmp",
 
+  // Run journal (trong TMP_DIR) cho --resume
+  RUN_JOURNAL_FILE: "run-journal.json",
+
+  // Metadata file để runner sau đọc qua SSH
+  METADATA_FILE: "/var/tmp/runner-tailscale-sync-metadata.json",
+
+  // Run lock: file trong PID_DIR + thư mục lock (mkdir atomic) cạnh metadata file trên previous runner
+  LOCK_FILE: "runner-sync.lock",
+  REMOTE_LOCK_DIR: "/var/tmp/runner-tailscale-sync.lock",
+  LOCK_TIMEOUT: 120000, // 2 minutes
+  LOCK_STALE_AFTER: 1800000, // 30 minutes
+  LOCK_POLL_INTERVAL: 2000,
+  LOCK_UNREADABLE_GRACE: 10000, // owner chưa ghi xong (hoặc hỏng): vẫn coi là lock trong khoảng này
+
   // Tailscale
   DEFAULT_TAG: "tag:ci",
   CONNECTION_TIMEOUT: 30000,
@@ -25,9 +41,46 @@ module.exports = {
 
   // Sync
   RSYNC_TIMEOUT: 300000, // 5 minutes
+  RSYNC_STATS_TAIL: 8192, // bytes cuối stdout giữ lại để đọc --stats
   SSH_TIMEOUT: 60000,    // 1 minute
 
+  // Marker trong TMP_DIR khi .runner-data đang được pull (còn lại = data chưa đầy đủ)
+  PARTIAL_SYNC_FILE: "partial-sync.json",
+  // Thư mục trong TMP_DIR nhận bản scp fallback trước khi chuyển vào .runner-data (bỏ trạng thái riêng của runner cũ)
+  SCP_STAGING_DIR: "scp-staging",
+
+  // Trạng thái riêng của runner hiện tại trong .runner-data (TMP_DIR: journal, partial-sync marker...; run lock; PID file):
+  // không nhận từ runner cũ qua rsync, không tính vào synced size, không commit lên git
+  RUNNER_LOCAL_PATHS: ["tmp", "pid/runner-sync.lock", "pid/*.pid"],
+
+  // Stop services trên runner cũ: thời gian xác nhận (poll qua SSH) services đã thoát, chờ thêm sau SIGKILL
+  SERVICE_STOP_WAIT: 30000,
+  SERVICE_POLL_INTERVAL: 1000,
+  SERVICE_KILL_WAIT: 5000,
+
+  // Local services (services[].command): chờ sau khi start để bắt lỗi exit ngay
+  SERVICE_START_CHECK: 1000,
+  // services[].stop.grace mặc định: thời gian chờ sau stop signal trước SIGKILL
+  SERVICE_STOP_GRACE: 10000,
+
+  // Health check (services[].health): thời gian chờ healthy, khoảng cách giữa các lần thử, timeout mỗi request
+  HEALTH_TIMEOUT: 60000,
+  HEALTH_INTERVAL: 2000,
+  HEALTH_REQUEST_TIMEOUT: 5000,
+
+  // Deadline (--deadline): reserve mặc định cho push_to_git, thời gian tối thiểu để bắt đầu một step thường
+  DEADLINE_PUSH_RESERVE: 60000,
+  DEADLINE_MIN_STEP: 5000,
+
+  // Shutdown (SIGINT / SIGTERM): thời gian chờ child process thoát trước SIGKILL, và mỗi cleanup task
+  SHUTDOWN_KILL_GRACE: 3000,
+  SHUTDOWN_CLEANUP_TIMEOUT: 10000,
+
+  // Shell hooks (before:<step> / after:<step>)
+  HOOK_TIMEOUT: 600000, // 10 minutes
+
   // Git
   GIT_RETRY_COUNT: 3,
   GIT_RETRY_DELAY: 2000,
+  GIT_NETWORK_TIMEOUT: 120000, // 2 minutes - mỗi lần git push / git pull
 };
@@ -0,0 +1,206 @@
+/**
+ * dotenv.js
+ * Parser/loader .env: export, giá trị quoted nhiều dòng, inline comment,
+ * escape sequences và ${VAR} interpolation. Dòng sai cú pháp được báo kèm số dòng.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9_.]*$/;
+const ESCAPES = { n: "\n", r: "\r", t: "\t", "\\": "\\", '"': '"', $: "$" };
+
+/**
+ * Vị trí dấu quote đóng (bỏ qua ký tự được escape trong double quotes), -1 nếu chưa đóng
+ */
+function findClosingQuote(str, quote) {
+  for (let i = 0; i < str.length; i++) {
+    if (quote === '"' && str[i] === "\\") {
+      i++;
+      continue;
+    }
+    if (str[i] === quote) return i;
+  }
+  return -1;
+}
+
+/**
+ * Thay ${VAR} / ${VAR:-default} (và xử lý escape nếu withEscapes) trong một lượt,
+ * để \$ giữ nguyên ký tự $ thay vì interpolate
+ */
+function expand(value, lookup, onUndefined, withEscapes) {
+  let result = "";
+
+  for (let i = 0; i < value.length; i++) {
+    const ch = value[i];
+
+    if (withEscapes && ch === "\\" && i + 1 < value.length) {
+      const next = value[++i];
+      result += ESCAPES[next] !== undefined ? ESCAPES[next] : `\\${next}`;
+      continue;
+    }
+
+    if (ch === "$" && value[i + 1] === "{") {
+      const end = value.indexOf("}", i + 2);
+      if (end !== -1) {
+        const [name, fallback] = value.slice(i + 2, end).split(":-");
+        const resolved = lookup(name);
+        if (resolved !== undefined && resolved !== "") {
+          result += resolved;
+        } else if (fallback !== undefined) {
+          result += fallback;
+        } else {
+          onUndefined(name);
+        }
+        i = end;
+        continue;
+      }
+    }
+
+    result += ch;
+  }
+
+  return result;
+}
+
+/**
+ * Parse nội dung .env
+ *
+ * @param {string} content
+ * @param {object} options - { env, defaults }: thứ tự tra cứu khi interpolate là
+ *   env (ưu tiên, giống thứ tự áp dụng vào process.env) → giá trị trong file → defaults
+ * @returns {{ values: object, warnings: Array<{ line: number, message: string }> }}
+ */
+function parse(content, options = {}) {
+  const { env = process.env, defaults = {} } = options;
+  const values = {};
+  const warnings = [];
+  const lines = String(content).replace(/^\uFEFF/, "").split(/\r?\n/);
+
+  const lookup = (name) => [env[name], values[name], defaults[name]].find((value) => value !== undefined && value !== "");
+
+  for (let i = 0; i < lines.length; i++) {
+    const lineNo = i + 1;
+    const trimmed = lines[i].trim();
+    if (!trimmed || trimmed.startsWith("#")) continue;
+
+    const match = trimmed.match(/^(?:export\s+)?([^=\s]+)\s*=\s*(.*)$/);
+    if (!match) {
+      warnings.push({ line: lineNo, message: "Expected KEY=VALUE" });
+      continue;
+    }
+
+    const [, key, rest] = match;
+    if (!KEY_PATTERN.test(key)) {
+      warnings.push({ line: lineNo, message: `Invalid variable name '${key}'` });
+      continue;
+    }
+
+    const onUndefined = (name) => warnings.push({ line: lineNo, message: `Undefined variable \${${name}} in ${key}` });
+    const quote = rest[0];
+    let value;
+
+    if (quote === '"' || quote === "'") {
+      // Giá trị quoted có thể kéo dài nhiều dòng (SSH key, certificate...)
+      let raw = rest.slice(1);
+      let endLine = i;
+      let closeIdx = findClosingQuote(raw, quote);
+      while (closeIdx === -1 && endLine + 1 < lines.length) {
+        endLine++;
+        raw += `\n${lines[endLine]}`;
+        closeIdx = findClosingQuote(raw, quote);
+      }
+
+      if (closeIdx === -1) {
+        warnings.push({ line: lineNo, message: `Unterminated ${quote === '"' ? "double" : "single"}-quoted value for ${key}` });
+        continue;
+      }
+
+      const trailing = raw.slice(closeIdx + 1).trim();
+      if (trailing && !trailing.startsWith("#")) {
+        warnings.push({ line: endLine + 1, message: `Unexpected characters after closing quote of ${key}` });
+      }
+
+      raw = raw.slice(0, closeIdx);
+      // Single quotes: giữ nguyên literal
+      value = quote === '"' ? expand(raw, lookup, onUndefined, true) : raw;
+      i = endLine;
+    } else {
+      // Inline comment phải có khoảng trắng trước "#"
+      value = expand(rest.replace(/(^|\s+)#.*$/, "").trim(), lookup, onUndefined, false);
+    }
+
+    values[key] = value;
+  }
+
+  return { values, warnings };
+}
+
+/**
+ * Load một hoặc nhiều file .env theo thứ tự (file sau ghi đè file trước),
+ * rồi áp dụng vào env: biến đã có sẵn trong env được giữ nguyên trừ khi override
+ *
+ * @param {string|string[]} files
+ * @param {object} options - { env = process.env, override = false }
+ * @returns {{ values, applied: string[], files: Array<{ path, found }>, warnings: Array<{ file, line, message }> }}
+ */
+function load(files, options = {}) {
+  const { env = process.env, override = false } = options;
+  const fileList = (Array.isArray(files) ? files : [files]).filter(Boolean);
+
+  // Snapshot env gốc để file không tự ghi đè biến thật khi interpolate
+  const baseEnv = { ...env };
+  const merged = {};
+  const loadedFiles = [];
+  const warnings = [];
+
+  for (const file of fileList) {
+    const filePath = path.resolve(file);
+
+    // File không tồn tại không phải lỗi ở đây - caller quyết định dựa trên files[].found
+    if (!fs.existsSync(filePath)) {
+      loadedFiles.push({ path: filePath, found: false });
+      continue;
+    }
+
+    let content;
+    try {
+      content = fs.readFileSync(filePath, "utf8");
+    } catch (err) {
+      loadedFiles.push({ path: filePath, found: false });
+      warnings.push({ file: filePath, line: 0, message: `Cannot read file: ${err.message}` });
+      continue;
+    }
+
+    const parsed = override
+      ? parse(content, { env: {}, defaults: { ...baseEnv, ...merged } })
+      : parse(content, { env: baseEnv, defaults: merged });
+    Object.assign(merged, parsed.values);
+    loadedFiles.push({ path: filePath, found: true });
+    warnings.push(...parsed.warnings.map((warning) => ({ file: filePath, ...warning })));
+  }
+
+  const applied = [];
+  for (const [key, value] of Object.entries(merged)) {
+    if (override || !baseEnv[key]) {
+      env[key] = value;
+      applied.push(key);
+    }
+  }
+
+  return { values: merged, applied, files: loadedFiles, warnings };
+}
+
+/**
+ * Format warning thành "file:line: message"
+ */
+function formatWarning(warning) {
+  const location = warning.line ? `${warning.file}:${warning.line}` : warning.file;
+  return `${location}: ${warning.message}`;
+}
+
+module.exports = {
+  parse,
+  load,
+  formatWarning,
+};
@@ -36,10 +36,26 @@ class SyncError extends BaseError {
   }
 }
 
+class LockError extends BaseError {
+  constructor(message, holder = null) {
+    super(message, 30);
+    this.holder = holder;
+  }
+}
+
+class InterruptedError extends BaseError {
+  constructor(message, signal = null) {
+    super(message, 130);
+    this.signal = signal;
+  }
+}
+
 module.exports = {
   BaseError,
   ValidationError,
   NetworkError,
   ProcessError,
   SyncError,
+  LockError,
+  InterruptedError,
 };
@@ -6,6 +6,9 @@
 const path = require("path");
 const { getTimestamp } = require("./time");
 
+// Secrets không nằm trong process.env (đọc từ *_FILE, stdin...) - dùng chung cho mọi Logger instance
+const registeredSecrets = new Set();
+
 class Logger {
   constructor(options = {}) {
     this.packageName = options.packageName || "runner-tailscale-sync";
@@ -14,6 +17,9 @@ class Logger {
     this.quiet = options.quiet || false;
     this.command = options.command || "";
 
+    // Khi stdout dành cho output máy đọc (--json), đẩy log sang stderr
+    this.out = options.logToStderr ? process.stderr : process.stdout;
+
     // Danh sách giá trị phổ biến KHÔNG mask
     this.skipValues = new Set([
       "true", "false", "TRUE", "FALSE", 
@@ -48,6 +54,7 @@ class Logger {
         return this.sensitivePatterns.some(pattern => upperKey.includes(pattern));
       })
       .map(([key, value]) => value.trim().replace(/\s+/g, " "))
+      .concat([...registeredSecrets])
       .sort((a, b) => b.length - a.length);
 
     const uniqueValues = [...new Set(envValues)];
@@ -84,7 +91,7 @@ class Logger {
     if (this.quiet) return;
     const formatted = this.format("ℹ️", msg);
     const masked = this.maskSensitiveData(formatted);
-    process.stdout.write(masked + "\n");
+    this.out.write(masked + "\n");
   }
 
   /**
@@ -94,7 +101,7 @@ class Logger {
     if (this.quiet) return;
     const formatted = this.format("✅", msg);
     const masked = this.maskSensitiveData(formatted);
-    process.stdout.write(masked + "\n");
+    this.out.write(masked + "\n");
   }
 
   /**
@@ -122,7 +129,7 @@ class Logger {
     if (!this.verbose) return;
     const formatted = this.format("🔍", msg);
     const masked = this.maskSensitiveData(formatted);
-    process.stdout.write(masked + "\n");
+    this.out.write(masked + "\n");
   }
 
   /**
@@ -132,7 +139,7 @@ class Logger {
     if (this.quiet) return;
     const formatted = this.format("🔧", cmd);
     const masked = this.maskSensitiveData(formatted);
-    process.stdout.write(masked + "\n");
+    this.out.write(masked + "\n");
   }
 
   /**
@@ -151,4 +158,14 @@ class Logger {
   }
 }
 
+/**
+ * Đăng ký secret để mask trong mọi log, kể cả khi giá trị không có trong process.env
+ */
+Logger.registerSecret = function registerSecret(value) {
+  const trimmed = String(value || "").trim();
+  if (trimmed) {
+    registeredSecrets.add(trimmed.replace(/\s+/g, " "));
+  }
+};
+
 module.exports = Logger;
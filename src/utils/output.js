@@ -0,0 +1,243 @@
+/**
+ * output.js
+ * Build và ghi JSON result document (--json / --output) cho các bước sau trong workflow
+ */
+
+const path = require("path");
+const fs_adapter = require("../adapters/fs");
+
+// Tăng khi thay đổi cấu trúc document theo cách không tương thích ngược
+const SCHEMA_VERSION = 1;
+const SCHEMA_NAME = "runner-tailscale-sync/result";
+
+/**
+ * Rút gọn thông tin peer (bỏ publicKey, metadata env...)
+ */
+function formatPeer(peer) {
+  if (!peer) return null;
+
+  return {
+    hostname: peer.hostname || null,
+    dnsName: peer.dnsName || null,
+    ip: peer.ips?.[0] || null,
+    ips: peer.ips || [],
+    tags: peer.tags || [],
+    created: peer.created || null,
+    user: peer.metadata?.runner?.user || null,
+    dataDir: peer.metadata?.runner?.runnerDataDir || null,
+    profile: peer.metadata?.profile || null,
+  };
+}
+
+/**
+ * Trạng thái local service (xem core/local-services readServiceState)
+ */
+function formatServiceState(state) {
+  return {
+    name: state.name,
+    running: Boolean(state.running),
+    pid: state.pid || null,
+    stale: Boolean(state.stale),
+    pidFile: state.pidFile || null,
+    logFile: state.logFile || null,
+    dataDir: state.dataDir || null,
+    autoStart: state.autoStart !== false,
+  };
+}
+
+function formatError(error) {
+  if (!error) return null;
+
+  return {
+    name: error.name || "Error",
+    message: error.message,
+    exitCode: error.exitCode || 1,
+  };
+}
+
+/**
+ * Phần dữ liệu riêng của từng command
+ */
+function buildCommandSection(command, result) {
+  switch (command) {
+    case "sync": {
+      const results = result?.results || {};
+      const previousRunner = results.detection?.previousRunner || null;
+      const syncedBytes = results.pullData?.syncedSize || 0;
+
+      return {
+        steps: results.steps || [],
+        hooks: results.hooks || [],
+        journal: results.journal || null,
+        durationMs: results.durationMs ?? null,
+        // --deadline: { deadlineMs, remainingMs, skippedSteps } (null khi không đặt deadline)
+        deadline: results.deadline || null,
+        timings: results.timings || [],
+        tailscale: results.tailscale ? { ip: results.tailscale.ip || null, hostname: results.tailscale.hostname || null } : null,
+        previousRunner: { found: previousRunner != null, ...formatPeer(previousRunner || {}) },
+        candidates: results.detection?.candidates || [],
+        data: {
+          restored: syncedBytes > 0,
+          syncedBytes,
+          method: results.pullData?.method || null,
+          durationMs: results.pullData?.durationMs || 0,
+          bytesPerSec: results.pullData?.bytesPerSec || 0,
+          skipped: Boolean(results.pullData?.skipped),
+          transferredBytes: results.pullData?.transferredBytes ?? null,
+          // Two-phase handoff: pass sau khi services dừng (null khi chạy một pass)
+          finalDelta: results.finalSync
+            ? {
+                transferredBytes: results.finalSync.transferredBytes ?? null,
+                filesTransferred: results.finalSync.filesTransferred ?? null,
+                filesDeleted: results.finalSync.filesDeleted ?? null,
+                durationMs: results.finalSync.durationMs || 0,
+                skipped: Boolean(results.finalSync.skipped),
+              }
+            : null,
+        },
+        services: {
+          stopped: results.stopServices?.stoppedServices || [],
+          stillRunning: results.stopServices?.stillRunning || [],
+          // Trạng thái từng service trên previous runner: [{ name, status, killed, stateful }]
+          // status: stopped | not_running | still_running | unknown
+          remote: results.stopServices?.services || [],
+          skipped: Boolean(results.stopServices?.skipped),
+          // Local services start bởi start_local_services: [{ name, status, pid, logFile, healthy? }]
+          started: results.startServices?.services || [],
+          // Health gate trước stop_remote_services: [{ name, url, healthy, statusCode, attempts, durationMs, error }]
+          health: results.servicesHealth?.services || [],
+        },
+        git: results.pushGit
+          ? {
+              success: results.pushGit.success !== false,
+              pushed: results.pushGit.success === true && !results.pushGit.noChanges && !results.pushGit.skipped,
+              noChanges: Boolean(results.pushGit.noChanges),
+              skipped: Boolean(results.pushGit.skipped),
+            }
+          : null,
+      };
+    }
+
+    case "init": {
+      const previousRunner = result?.previousRunner || result?.results?.detection?.previousRunner || null;
+
+      return {
+        steps: result?.steps || result?.results?.steps || [],
+        tailscale: result?.tailscale ? { ip: result.tailscale.ip || null, hostname: result.tailscale.hostname || null } : null,
+        previousRunner: { found: previousRunner != null, ...formatPeer(previousRunner || {}) },
+      };
+    }
+
+    case "push":
+      return {
+        git: result
+          ? {
+              success: result.success !== false,
+              pushed: result.success === true && !result.noChanges && !result.skipped,
+              noChanges: Boolean(result.noChanges),
+              skipped: Boolean(result.skipped),
+            }
+          : null,
+      };
+
+    case "status": {
+      const self = result?.tailscale?.Self;
+
+      return {
+        tailscale: {
+          enabled: Boolean(result?.tailscaleEnable),
+          connected: Boolean(result?.tailscale),
+          backendState: result?.tailscale?.BackendState || null,
+          hostname: self?.HostName || null,
+          dnsName: self?.DNSName?.replace(/\.$/, "") || null,
+          ips: self?.TailscaleIPs || [],
+          peerCount: result?.peerCount || 0,
+        },
+        peers: (result?.peers || []).map(formatPeer),
+        runnerData: result?.runnerData
+          ? { path: result.runnerData.path, sizeBytes: result.runnerData.size, partial: result.runnerData.partial || null }
+          : null,
+        lock: result?.lock || { local: null, remote: [] },
+        localServices: (result?.localServices || []).map(formatServiceState),
+      };
+    }
+
+    case "services":
+      return {
+        action: result?.action || null,
+        services: (result?.services || []).map((entry) => ("running" in entry ? formatServiceState(entry) : entry)),
+      };
+
+    case "config":
+      return {
+        settings: (result?.settings || []).map(({ key, value, source, envName, secret }) => ({ key, value, source, envName, secret })),
+        paths: result?.paths || {},
+        errors: result?.errors || [],
+        warnings: result?.warnings || [],
+      };
+
+    case "doctor":
+      return {
+        summary: result?.summary || { pass: 0, warn: 0, fail: 0 },
+        checks: result?.checks || [],
+      };
+
+    default:
+      return {};
+  }
+}
+
+/**
+ * Build JSON document ổn định, có version
+ *
+ * @param {string} command - sync | init | push | status | config | services | doctor
+ * @param {object|null} result - kết quả trả về từ command (null nếu lỗi)
+ * @param {object} meta - { pkg, startedAt, finishedAt, dryRun, error }
+ */
+function buildDocument(command, result, meta = {}) {
+  const { pkg = {}, startedAt, finishedAt = new Date(), dryRun = false, error = null } = meta;
+
+  // Khi lỗi, lấy kết quả từng phần đã gắn vào error (err.results)
+  const effectiveResult = result || (error?.results ? { results: error.results, ...error.results } : null);
+
+  return {
+    schema: SCHEMA_NAME,
+    schemaVersion: SCHEMA_VERSION,
+    tool: {
+      name: pkg.name || "runner-tailscale-sync",
+      version: pkg.version || "unknown",
+    },
+    command,
+    success: !error && result?.success !== false,
+    dryRun: Boolean(dryRun),
+    startedAt: startedAt ? startedAt.toISOString() : null,
+    finishedAt: finishedAt.toISOString(),
+    ...buildCommandSection(command, effectiveResult),
+    error: formatError(error),
+  };
+}
+
+/**
+ * Ghi document ra stdout (--json) và/hoặc file (--output, đường dẫn tương đối tính theo options.cwd = config.cwd)
+ */
+function writeDocument(doc, options = {}) {
+  const content = JSON.stringify(doc, null, 2);
+
+  if (options.output) {
+    const outputPath = path.resolve(options.cwd || process.cwd(), options.output);
+    fs_adapter.ensureDir(path.dirname(outputPath));
+    fs_adapter.writeFile(outputPath, content + "\n");
+  }
+
+  if (options.json) {
+    process.stdout.write(content + "\n");
+  }
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  SCHEMA_NAME,
+  buildDocument,
+  writeDocument,
+  formatPeer,
+};
@@ -57,9 +57,44 @@ function getTimestamp() {
   return formatVietnamTime(getVietnamTime(), 'yyMMdd-HHmmss');
 }
 
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+
+/**
+ * Parse duration: số (ms) hoặc chuỗi '500ms', '30s', '5m', '1h'
+ * @param {number|string} value
+ * @returns {number|null} milliseconds, null nếu không hợp lệ
+ */
+function parseDuration(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value >= 0 ? value : null;
+  }
+
+  const match = String(value || '').trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h)?$/);
+  if (!match) return null;
+
+  return Math.round(parseFloat(match[1]) * DURATION_UNITS[match[2] || 'ms']);
+}
+
+/**
+ * Format milliseconds cho report: '850ms', '12.4s', '3m 05s'
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatDuration(ms) {
+  if (!Number.isFinite(ms) || ms < 0) return 'N/A';
+  if (ms < 1000) return `${Math.round(ms)}ms`;
+  if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+
+  const totalSeconds = Math.round(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  return `${minutes}m ${String(totalSeconds % 60).padStart(2, '0')}s`;
+}
+
 module.exports = {
   getVietnamTime,
   formatVietnamTime,
   generateVersion,
   getTimestamp,
+  parseDuration,
+  formatDuration,
 };
@@ -0,0 +1,109 @@
+/**
+ * timing.js
+ * Đo wall-clock time của các thao tác con trong một lần sync
+ * (tailscale login wait, SSH probes, rsync/scp, git push retries) để biết thời gian handoff đi đâu
+ */
+
+const { formatDuration } = require("./time");
+const { formatBytes } = require("../adapters/fs");
+
+/**
+ * Tạo collector. Các collector tạo bằng forStep() dùng chung danh sách entries
+ *
+ * Entry: { step, name, durationMs, status: "ok" | "failed", bytes?, bytesPerSec?, ...meta }
+ *
+ * @param {Array} entries - danh sách entries dùng chung
+ * @param {string|null} step - step gắn vào mỗi entry
+ */
+function createTimings(entries = [], step = null) {
+  const timings = {
+    /**
+     * Collector gắn tên step cho các entry ghi qua nó
+     */
+    forStep(name) {
+      return createTimings(entries, name);
+    },
+
+    /**
+     * Ghi một entry đã đo sẵn
+     */
+    record(name, durationMs, meta = {}) {
+      const entry = { step, name, durationMs: Math.round(durationMs), status: "ok", ...meta };
+      if (entry.bytes > 0 && entry.durationMs > 0) {
+        entry.bytesPerSec = Math.round(entry.bytes / (entry.durationMs / 1000));
+      }
+      entries.push(entry);
+      return entry;
+    },
+
+    /**
+     * Bắt đầu đo - gọi hàm trả về để kết thúc: end({ status, bytes, ... })
+     */
+    start(name, meta = {}) {
+      const startedAt = Date.now();
+      return (extra = {}) => timings.record(name, Date.now() - startedAt, { ...meta, ...extra });
+    },
+
+    /**
+     * Đo fn (sync hoặc async); lỗi vẫn được ghi với status "failed" rồi throw lại
+     */
+    async measure(name, fn, meta = {}) {
+      const end = timings.start(name, meta);
+      try {
+        const result = await fn();
+        end();
+        return result;
+      } catch (err) {
+        end({ status: "failed", error: err.message });
+        throw err;
+      }
+    },
+
+    list() {
+      return step ? entries.filter((entry) => entry.step === step) : entries;
+    },
+  };
+
+  return timings;
+}
+
+/**
+ * Throughput dạng "12.50 MB/s"
+ */
+function formatRate(bytesPerSec) {
+  return bytesPerSec > 0 ? `${formatBytes(bytesPerSec)}/s` : "";
+}
+
+/**
+ * Bảng timings cho report: mỗi step một dòng, thao tác con thụt vào bên dưới
+ *
+ * @param {Array} steps - results.steps (có durationMs)
+ * @param {Array} operations - entries từ collector
+ * @returns {string[]} các dòng đã căn cột
+ */
+function formatTimingTable(steps, operations = []) {
+  const rows = [["Step / operation", "Duration", "Details"]];
+
+  for (const step of steps) {
+    if (step.durationMs === undefined) continue;
+    rows.push([step.name, formatDuration(step.durationMs), step.status]);
+
+    for (const op of operations.filter((item) => item.step === step.name)) {
+      const details = [
+        op.status === "failed" ? "failed" : "",
+        op.bytes ? formatBytes(op.bytes) : "",
+        formatRate(op.bytesPerSec),
+      ].filter(Boolean);
+      rows.push([`  ${op.name}`, formatDuration(op.durationMs), details.join(", ")]);
+    }
+  }
+
+  const widths = [0, 1].map((col) => Math.max(...rows.map((row) => row[col].length)));
+  return rows.map((row) => `${row[0].padEnd(widths[0])}  ${row[1].padStart(widths[1])}  ${row[2]}`.trimEnd());
+}
+
+module.exports = {
+  createTimings,
+  formatRate,
+  formatTimingTable,
+};
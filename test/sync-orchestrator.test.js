@@ -0,0 +1,178 @@
+/**
+ * test/sync-orchestrator.test.js
+ * orchestrate() với fake tailscale / ssh / process adapters (qua createAdapterContext) - không cần tailnet thật
+ */
+
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const Config = require("../src/utils/config");
+const Logger = require("../src/utils/logger");
+const { orchestrate } = require("../src/core/sync-orchestrator");
+
+const TAG = "tag:ci-test";
+
+// Env có thể ghi đè config file của test
+const OVERRIDING_ENV = ["TOOL_CWD", "TAILSCALE_ENABLE", "TAILSCALE_TAGS", "GIT_PUSH_ENABLED", "SERVICES_TO_STOP", "RUNNER_SYNC_ONLY", "RUNNER_SYNC_SKIP"];
+
+const STATUS = {
+  BackendState: "Running",
+  Self: { HostName: "new-runner", TailscaleIPs: ["100.64.0.1"] },
+  Peer: {
+    "key-a": { ID: "a", HostName: "runner-a", TailscaleIPs: ["100.64.0.2"], Tags: [TAG], Online: true, Created: "2026-10-01T08:00:00Z" },
+    "key-b": { ID: "b", HostName: "runner-b", TailscaleIPs: ["100.64.0.3"], Tags: [TAG], Online: true, Created: "2026-10-02T08:00:00Z" },
+    "key-c": { ID: "c", HostName: "runner-c", TailscaleIPs: ["100.64.0.4"], Tags: [TAG], Online: false, Created: "2026-10-03T08:00:00Z" },
+    "key-d": { ID: "d", HostName: "other", TailscaleIPs: ["100.64.0.5"], Tags: ["tag:other"], Online: true, Created: "2026-10-04T08:00:00Z" },
+  },
+};
+
+const REMOTE_METADATA = JSON.stringify({
+  profile: null,
+  runner: { user: "runner", runnerDataDir: "/home/runner/work/app/.runner-data" },
+  env: { USER: "runner" },
+});
+
+let cwd;
+let savedEnv;
+
+beforeEach(() => {
+  savedEnv = { ...process.env };
+  OVERRIDING_ENV.forEach((name) => delete process.env[name]);
+  process.env.TAILSCALE_AUTHKEY = "tskey-test";
+
+  cwd = fs.mkdtempSync(path.join(os.tmpdir(), "runner-sync-test-"));
+  // setup_directories ghi metadata vào /var/tmp - bỏ qua trong test
+  fs.writeFileSync(
+    path.join(cwd, "runner-sync.config.json"),
+    JSON.stringify({
+      tailscale: { enable: true, tags: [TAG] },
+      services: ["web"],
+      git: { enabled: false },
+      lock: { remote: false },
+      steps: { skip: ["setup_directories"] },
+    }),
+  );
+});
+
+afterEach(() => {
+  process.env = savedEnv;
+  fs.rmSync(cwd, { recursive: true, force: true });
+});
+
+/**
+ * Fake adapters + số lần gọi; pull.fail = true: rsync và scp fallback đều lỗi
+ */
+function createFakes(config) {
+  const calls = { getStatus: 0, rsync: 0, scp: 0, stopServices: 0 };
+  const pull = { fail: false };
+  let stopped = false;
+
+  const adapters = {
+    tailscale: {
+      install: () => true,
+      login: async () => true,
+      getStatus: () => {
+        calls.getStatus++;
+        return STATUS;
+      },
+      getIP: () => STATUS.Self.TailscaleIPs[0],
+      getHostname: () => STATUS.Self.HostName,
+    },
+    ssh: {
+      checkConnection: () => true,
+      executeCommandCapture: (host, command) => {
+        // runner-a không còn .runner-data
+        const hasData = host.replace(/^[^@]*@/, "") !== "100.64.0.2";
+        if (command.startsWith("cat ")) return hasData ? REMOTE_METADATA : "";
+        if (command.startsWith("test -d")) return hasData ? "yes" : "";
+        return "";
+      },
+      getServiceStates: () => ({ running: stopped ? [] : ["web"], unknown: [], byName: [] }),
+      stopServices: async () => {
+        calls.stopServices++;
+        stopped = true;
+        return true;
+      },
+    },
+    process: {
+      runWithTimeout: async (cmd, timeout, options = {}) => {
+        const [command] = cmd;
+        if (command === "rsync" || command === "scp") {
+          calls[command]++;
+          if (pull.fail) throw new Error(`${command}: connection reset by peer`);
+          fs.mkdirSync(config.dataServicesDir, { recursive: true });
+          fs.writeFileSync(path.join(config.dataServicesDir, "app.db"), "hello");
+          options.onOutput?.("Number of regular files transferred: 1\nTotal transferred file size: 5 bytes\n");
+        }
+        return "";
+      },
+      sleep: async () => {},
+    },
+  };
+
+  return { adapters, calls, pull };
+}
+
+function createLogger() {
+  return new Logger({ command: "sync", quiet: true, logToStderr: true });
+}
+
+function stepStatuses(results) {
+  return Object.fromEntries(results.steps.map((step) => [step.name, step.status]));
+}
+
+test("selects the newest reachable peer with data and runs every step", async () => {
+  const config = new Config({ cwd });
+  const { adapters, calls } = createFakes(config);
+
+  const { results } = await orchestrate(config, createLogger(), { adapters });
+
+  assert.equal(results.detection.previousRunner.hostname, "runner-b");
+  assert.deepEqual(stepStatuses(results), {
+    setup_directories: "disabled",
+    connect_tailscale: "completed",
+    detect_previous_runner: "completed",
+    pull_data: "completed",
+    check_services_health: "disabled",
+    stop_remote_services: "completed",
+    final_sync: "disabled",
+    start_local_services: "disabled",
+    push_to_git: "disabled",
+  });
+  assert.equal(calls.rsync, 1);
+  assert.equal(calls.stopServices, 1);
+  assert.equal(fs.readFileSync(path.join(config.dataServicesDir, "app.db"), "utf8"), "hello");
+});
+
+test("--resume reruns the failed step and reuses the peer from the journal", async () => {
+  const config = new Config({ cwd });
+  const { adapters, calls, pull } = createFakes(config);
+
+  pull.fail = true;
+  const err = await orchestrate(config, createLogger(), { adapters }).then(
+    () => assert.fail("pull_data should fail"),
+    (error) => error,
+  );
+  assert.match(err.message, /Failed to sync data/);
+  assert.equal(stepStatuses(err.results).pull_data, "failed");
+  assert.equal(stepStatuses(err.results).stop_remote_services, undefined);
+  assert.equal(calls.scp, 1);
+  assert.equal(calls.stopServices, 0);
+
+  pull.fail = false;
+  const resumeConfig = new Config({ cwd, resume: true });
+  const { results } = await orchestrate(resumeConfig, createLogger(), { adapters });
+
+  const steps = Object.fromEntries(results.steps.map((step) => [step.name, step]));
+  assert.equal(steps.connect_tailscale.resumed, true);
+  assert.equal(steps.detect_previous_runner.resumed, true);
+  assert.equal(steps.pull_data.status, "completed");
+  assert.equal(steps.pull_data.resumed, undefined);
+  assert.equal(steps.stop_remote_services.status, "completed");
+  // Peer lấy từ journal: không dò lại tailnet
+  assert.equal(calls.getStatus, 1);
+  assert.equal(results.detection.previousRunner.hostname, "runner-b");
+  assert.equal(calls.stopServices, 1);
+});